@@ -1,6 +1,17 @@
 const DEFAULT_BASE_URL = "https://crm.oceantechnolab.com/api";
 const ACCESS_COOKIE_NAME = "access_token_cookie";
 const CSRF_COOKIE_NAME = "csrf_access_token";
+const REFRESH_COOKIE_NAME = "refresh_token_cookie";
+const CSRF_REFRESH_COOKIE_NAME = "csrf_refresh_token";
+const WHATSAPP_URL = "https://web.whatsapp.com/";
+
+// Org-scoped option lists behind the sidebar lead form pickers
+const LEAD_OPTION_PATHS = {
+	getTags: "/v1/lead/tag/",
+	getSources: "/v1/lead/source/",
+	getProducts: "/v1/product/",
+	getUsers: "/v1/org/user/",
+};
 
 function normalizeBaseUrl(baseUrl) {
 	if (!baseUrl) {
@@ -14,20 +25,245 @@ function getOrigin(baseUrl) {
 	return url.origin;
 }
 
+chrome.cookies.onChanged.addListener(async ({ cookie, removed, cause }) => {
+	if (cookie.name !== ACCESS_COOKIE_NAME) return;
+	// An overwrite removes and re-adds the cookie; ignore the removal half
+	if (removed && cause === "overwrite") return;
+
+	const { baseUrl } = await chrome.storage.local.get({
+		baseUrl: DEFAULT_BASE_URL,
+	});
+	const host = new URL(normalizeBaseUrl(baseUrl)).hostname;
+	if (!host.endsWith(cookie.domain.replace(/^\./, ""))) return;
+
+	broadcastSession(!removed);
+});
+
+function buildQuery(params) {
+	const search = new URLSearchParams();
+	for (const [key, value] of Object.entries(params)) {
+		if (value) {
+			search.set(key, value);
+		}
+	}
+	const query = search.toString();
+	return query ? `?${query}` : "";
+}
+
 async function getCookieValue(origin, name) {
 	const cookie = await chrome.cookies.get({ url: origin, name });
 	return cookie ? cookie.value : "";
 }
 
+// ============ ERRORS ============
+// Errors cross the message channel as plain objects, so everything the UI needs
+// to react (code, status, per-field messages, retry hint) lives on the error.
+class ApiError extends Error {
+	constructor(message, { code = "unknown", status = 0, fields = {} } = {}) {
+		super(message);
+		this.name = "ApiError";
+		this.code = code;
+		this.status = status;
+		this.fields = fields;
+		this.retryable = ["network", "rate_limited", "server"].includes(code);
+	}
+}
+
+function getErrorCode(status) {
+	if (status === 401) return "auth";
+	if (status === 403) return "forbidden";
+	if (status === 404) return "not_found";
+	if (status === 409) return "conflict";
+	if (status === 429) return "rate_limited";
+	if (status === 400 || status === 422) return "validation";
+	if (status >= 500) return "server";
+	return "unknown";
+}
+
+function addFieldError(fields, field, message) {
+	if (!field || !message) {
+		return;
+	}
+	const key = String(field);
+	fields[key] = fields[key] ? `${fields[key]} ${message}` : String(message);
+}
+
+// Understands the shapes the CRM (and its FastAPI validators) send back:
+// { message, errors: { field: [msg] } }, { errors: [{ field, message }] },
+// { detail: "msg" } and { detail: [{ loc: ["body", "field"], msg }] }
+function parseErrorBody(text) {
+	let body = null;
+	try {
+		body = JSON.parse(text);
+	} catch (error) {
+		// Proxies answer with HTML error pages; those are not worth showing
+		const message = text.trim();
+		return { message: message.startsWith("<") ? "" : message, fields: {} };
+	}
+
+	const fields = {};
+	let message = "";
+
+	if (typeof body === "string") {
+		return { message: body, fields };
+	}
+
+	if (Array.isArray(body?.detail)) {
+		body.detail.forEach((item) => {
+			const loc = (item.loc || []).filter((part) => part !== "body");
+			addFieldError(fields, loc.join("."), item.msg);
+		});
+	} else if (typeof body?.detail === "string") {
+		message = body.detail;
+	}
+
+	if (Array.isArray(body?.errors)) {
+		body.errors.forEach((item) =>
+			addFieldError(fields, item.field || item.param, item.message || item.msg),
+		);
+	} else if (body?.errors && typeof body.errors === "object") {
+		Object.entries(body.errors).forEach(([field, messages]) =>
+			addFieldError(
+				fields,
+				field,
+				Array.isArray(messages) ? messages.join(" ") : messages,
+			),
+		);
+	}
+
+	message = body?.message || body?.error || message;
+	if (!message && Object.keys(fields).length) {
+		message = "Please fix the highlighted fields.";
+	}
+	return { message, fields };
+}
+
+async function createResponseError(response) {
+	const text = await response.text().catch(() => "");
+	const { message, fields } = parseErrorBody(text);
+	return new ApiError(message || `CRM request failed (${response.status}).`, {
+		code: getErrorCode(response.status),
+		status: response.status,
+		fields,
+	});
+}
+
+function toErrorResponse(error) {
+	if (!(error instanceof ApiError)) {
+		return {
+			ok: false,
+			error: error.message,
+			code: "unknown",
+			retryable: false,
+		};
+	}
+	return {
+		ok: false,
+		error: error.message,
+		code: error.code,
+		status: error.status,
+		fields: error.fields,
+		retryable: error.retryable,
+	};
+}
+
+// ============ SESSION ============
+let refreshPromise = null;
+
+function createAuthError(message) {
+	return new ApiError(message, { code: "auth", status: 401 });
+}
+
+async function sendToWhatsAppTabs(message) {
+	const tabs = await chrome.tabs.query({ url: `${WHATSAPP_URL}*` });
+	for (const tab of tabs) {
+		chrome.tabs.sendMessage(tab.id, message).catch(() => {
+			// Tab has no content script yet
+		});
+	}
+}
+
+// Tells every WhatsApp tab when the CRM session starts or ends. The last
+// state sent lives in session storage: the worker is stopped when idle and
+// must not announce an unchanged session again after every restart.
+async function broadcastSession(signedIn) {
+	const { lastSessionState } = await chrome.storage.session.get({
+		lastSessionState: null,
+	});
+	if (lastSessionState === signedIn) return;
+	await chrome.storage.session.set({ lastSessionState: signedIn });
+	sendToWhatsAppTabs({ type: "sessionChanged", signedIn });
+}
+
+async function requestTokenRefresh(baseUrl) {
+	const origin = getOrigin(baseUrl);
+	const refreshToken = await getCookieValue(origin, REFRESH_COOKIE_NAME);
+	if (!refreshToken) {
+		return false;
+	}
+
+	const headers = {
+		"x-refresh-token": refreshToken,
+		Accept: "application/json",
+	};
+	const csrfToken = await getCookieValue(origin, CSRF_REFRESH_COOKIE_NAME);
+	if (csrfToken) {
+		headers["X-CSRF-Token"] = csrfToken;
+	}
+
+	try {
+		const response = await fetch(`${baseUrl}/v1/user/refresh`, {
+			method: "POST",
+			headers,
+			credentials: "include",
+		});
+		if (!response.ok) {
+			return false;
+		}
+
+		// Some deployments return the token instead of setting the cookie
+		const data = await response.json().catch(() => null);
+		if (data?.access_token) {
+			await chrome.cookies.set({
+				url: origin,
+				name: ACCESS_COOKIE_NAME,
+				value: data.access_token,
+				path: "/",
+				secure: origin.startsWith("https:"),
+			});
+		}
+		return true;
+	} catch (error) {
+		console.warn("[OceanCRM] Token refresh failed:", error.message);
+		return false;
+	}
+}
+
+// Parallel requests that hit a 401 share one refresh call
+function refreshAccessToken(baseUrl) {
+	if (!refreshPromise) {
+		refreshPromise = requestTokenRefresh(baseUrl).finally(() => {
+			refreshPromise = null;
+		});
+	}
+	return refreshPromise;
+}
+
 async function getAuthHeaders(baseUrl) {
 	const origin = getOrigin(baseUrl);
-	const accessToken = await getCookieValue(origin, ACCESS_COOKIE_NAME);
-	const csrfToken = await getCookieValue(origin, CSRF_COOKIE_NAME);
+	let accessToken = await getCookieValue(origin, ACCESS_COOKIE_NAME);
+
+	if (!accessToken && (await refreshAccessToken(baseUrl))) {
+		accessToken = await getCookieValue(origin, ACCESS_COOKIE_NAME);
+	}
 
 	if (!accessToken) {
-		throw new Error("Missing access token cookie. Log into CRM first.");
+		broadcastSession(false);
+		throw createAuthError("Not signed in to CRM. Log in first.");
 	}
 
+	const csrfToken = await getCookieValue(origin, CSRF_COOKIE_NAME);
+
 	const headers = {
 		"x-access-token": accessToken,
 		Accept: "application/json",
@@ -40,18 +276,78 @@ async function getAuthHeaders(baseUrl) {
 	return headers;
 }
 
-async function apiRequest(baseUrl, path, options = {}) {
+// ============ HOST PERMISSIONS ============
+// Only the default CRM host is granted at install; self-hosted and staging
+// instances are optional hosts the user grants per profile.
+function getOriginPattern(baseUrl) {
+	return `${getOrigin(normalizeBaseUrl(baseUrl))}/*`;
+}
+
+function hasHostPermission(baseUrl) {
+	return chrome.permissions.contains({ origins: [getOriginPattern(baseUrl)] });
+}
+
+// permissions.request needs a user gesture on an extension page, so the
+// prompt lives in a small popup window rather than in the content script
+async function requestHostPermission(baseUrl) {
+	if (await hasHostPermission(baseUrl)) {
+		return { granted: true };
+	}
+	const origin = getOrigin(normalizeBaseUrl(baseUrl));
+	await chrome.windows.create({
+		url: chrome.runtime.getURL(
+			`src/permissions.html?origin=${encodeURIComponent(origin)}`,
+		),
+		type: "popup",
+		width: 420,
+		height: 240,
+	});
+	return { granted: false };
+}
+
+chrome.permissions.onAdded.addListener(({ origins = [] }) => {
+	if (origins.length) {
+		chrome.storage.session.remove("lastSessionState");
+		sendToWhatsAppTabs({ type: "hostPermissionAdded", origins });
+	}
+});
+
+async function apiRequest(baseUrl, path, options = {}, isRetry = false) {
 	const normalizedBase = normalizeBaseUrl(baseUrl);
+	if (!(await hasHostPermission(normalizedBase))) {
+		throw new ApiError(
+			`No access to ${getOrigin(normalizedBase)}. Grant it from the profile settings.`,
+			{ code: "permission" },
+		);
+	}
 	const headers = await getAuthHeaders(normalizedBase);
-	const response = await fetch(`${normalizedBase}${path}`, {
-		method: options.method || "GET",
-		headers: { ...headers, ...(options.headers || {}) },
-		body: options.body ? JSON.stringify(options.body) : undefined,
-	});
+	let response;
+	try {
+		response = await fetch(`${normalizedBase}${path}`, {
+			method: options.method || "GET",
+			headers: { ...headers, ...(options.headers || {}) },
+			body: options.body ? JSON.stringify(options.body) : undefined,
+		});
+	} catch (error) {
+		// fetch rejects with a TypeError when the network is down
+		throw new ApiError("CRM unreachable. Check your connection.", {
+			code: "network",
+		});
+	}
+
+	if (response.status === 401) {
+		// Expired access token: refresh once and replay the request
+		if (!isRetry && (await refreshAccessToken(normalizedBase))) {
+			return apiRequest(baseUrl, path, options, true);
+		}
+		broadcastSession(false);
+		throw createAuthError("CRM session expired. Log in again.");
+	}
+
+	broadcastSession(true);
 
 	if (!response.ok) {
-		const text = await response.text();
-		throw new Error(`API ${response.status}: ${text}`);
+		throw await createResponseError(response);
 	}
 
 	if (response.status === 204) {
@@ -61,13 +357,445 @@ async function apiRequest(baseUrl, path, options = {}) {
 	return response.json();
 }
 
+async function createLeadRequest(baseUrl, orgId, lead) {
+	const headers = {
+		"x-org-id": orgId,
+		"Content-Type": "application/json",
+	};
+	const data = await apiRequest(baseUrl, "/v1/lead", {
+		method: "POST",
+		headers,
+		body: lead,
+	});
+	await saveChatLead(orgId, lead.business?.mobile, getLeadId(data));
+	return data;
+}
+
+// ============ CHAT LEAD LINKS ============
+// chatLeads[orgId][mobile] = lead id, recorded whenever a lead is created
+// (directly or from the outbox) so the chat finds its lead again even when
+// the CRM search no longer matches the number
+function getLeadId(data) {
+	return data?.id || data?.lead?.id || data?.data?.id || "";
+}
+
+async function getChatLeads() {
+	const { chatLeads } = await chrome.storage.local.get({ chatLeads: {} });
+	return chatLeads;
+}
+
+async function saveChatLead(orgId, mobile, leadId) {
+	if (!orgId || !mobile || !leadId) return;
+	const chatLeads = await getChatLeads();
+	await chrome.storage.local.set({
+		chatLeads: {
+			...chatLeads,
+			[orgId]: { ...chatLeads[orgId], [mobile]: leadId },
+		},
+	});
+}
+
+async function removeChatLead(orgId, mobile) {
+	const chatLeads = await getChatLeads();
+	if (!chatLeads[orgId]?.[mobile]) return;
+	const { [mobile]: _removed, ...rest } = chatLeads[orgId];
+	await chrome.storage.local.set({
+		chatLeads: { ...chatLeads, [orgId]: rest },
+	});
+}
+
+// ============ OUTBOX ============
+// Leads that could not be created because the CRM was unreachable are kept in
+// chrome.storage.local and retried from an alarm, so they survive restarts.
+const OUTBOX_ALARM = "ocrm-outbox";
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_DELAY = 30000;
+
+function isRetryableError(error) {
+	return Boolean(error.retryable);
+}
+
+function getRetryDelay(attempts) {
+	return OUTBOX_BASE_DELAY * 2 ** (attempts - 1);
+}
+
+async function getOutbox() {
+	const { outbox } = await chrome.storage.local.get({ outbox: [] });
+	return outbox;
+}
+
+async function saveOutbox(outbox) {
+	await chrome.storage.local.set({ outbox });
+	await scheduleOutboxAlarm(outbox);
+}
+
+async function scheduleOutboxAlarm(outbox) {
+	const pending = outbox.filter((item) => item.status === "pending");
+	if (!pending.length) {
+		await chrome.alarms.clear(OUTBOX_ALARM);
+		return;
+	}
+	const when = Math.min(...pending.map((item) => item.nextAttemptAt));
+	await chrome.alarms.create(OUTBOX_ALARM, {
+		when: Math.max(when, Date.now() + 1000),
+	});
+}
+
+async function enqueueLead(baseUrl, orgId, lead, error) {
+	const outbox = await getOutbox();
+	outbox.push({
+		id: crypto.randomUUID(),
+		baseUrl,
+		orgId,
+		lead,
+		status: "pending",
+		attempts: 1,
+		lastError: error.message,
+		createdAt: Date.now(),
+		nextAttemptAt: Date.now() + getRetryDelay(1),
+	});
+	await saveOutbox(outbox);
+}
+
+// The alarm, "Retry now" and startup can all ask for a run; only one sends
+// at a time, and a request made mid-run triggers one more pass afterwards,
+// so an item is never POSTed twice
+let outboxRun = null;
+let outboxRerun = false;
+
+function processOutbox() {
+	if (outboxRun) {
+		outboxRerun = true;
+		return outboxRun;
+	}
+
+	outboxRun = (async () => {
+		try {
+			do {
+				outboxRerun = false;
+				await sendDueOutboxItems();
+			} while (outboxRerun);
+		} finally {
+			outboxRun = null;
+		}
+	})();
+	return outboxRun;
+}
+
+async function sendDueOutboxItems() {
+	const now = Date.now();
+	const due = (await getOutbox()).filter(
+		(item) => item.status === "pending" && item.nextAttemptAt <= now,
+	);
+
+	const sentIds = new Set();
+	const updates = new Map();
+	for (const item of due) {
+		try {
+			await createLeadRequest(item.baseUrl, item.orgId, item.lead);
+			sentIds.add(item.id);
+		} catch (error) {
+			const attempts = item.attempts + 1;
+			const failed =
+				!isRetryableError(error) || attempts >= OUTBOX_MAX_ATTEMPTS;
+			updates.set(item.id, {
+				...item,
+				attempts,
+				lastError: error.message,
+				status: failed ? "failed" : "pending",
+				nextAttemptAt: Date.now() + getRetryDelay(attempts),
+			});
+		}
+	}
+
+	// Re-read so items queued or discarded while sending are not lost
+	const latest = await getOutbox();
+	await saveOutbox(
+		latest
+			.filter((item) => !sentIds.has(item.id))
+			.map((item) => updates.get(item.id) || item),
+	);
+}
+
+async function retryOutboxItem(itemId) {
+	const outbox = await getOutbox();
+	await saveOutbox(
+		outbox.map((item) =>
+			item.id === itemId
+				? { ...item, status: "pending", attempts: 0, nextAttemptAt: 0 }
+				: item,
+		),
+	);
+	await processOutbox();
+}
+
+async function discardOutboxItem(itemId) {
+	const outbox = await getOutbox();
+	await saveOutbox(outbox.filter((item) => item.id !== itemId));
+}
+
+// ============ FOLLOW-UP REMINDERS ============
+// Each reminder is a CRM task plus a local alarm, so the notification fires
+// even when the CRM is not open. Reminders live in storage under followUps.
+const FOLLOW_UP_PREFIX = "ocrm-follow-up:";
+
+async function getFollowUps() {
+	const { followUps } = await chrome.storage.local.get({ followUps: [] });
+	return followUps;
+}
+
+async function saveFollowUps(followUps) {
+	await chrome.storage.local.set({ followUps });
+}
+
+async function scheduleFollowUp(baseUrl, orgId, followUp) {
+	const reminder = {
+		id: crypto.randomUUID(),
+		taskId: null,
+		baseUrl,
+		orgId,
+		fired: false,
+		...followUp,
+	};
+
+	let warning = "";
+	try {
+		const headers = {
+			"x-org-id": orgId,
+			"Content-Type": "application/json",
+		};
+		const task = await apiRequest(baseUrl, "/v1/task", {
+			method: "POST",
+			headers,
+			body: {
+				type: "follow_up",
+				title: `Follow up with ${followUp.name || followUp.phone}`,
+				description: followUp.note,
+				due_at: new Date(followUp.dueAt).toISOString(),
+				lead_id: followUp.leadId || null,
+			},
+		});
+		reminder.taskId = task?.id || null;
+	} catch (error) {
+		// The local reminder is still useful without the CRM task
+		warning = `Saved locally only: ${error.message}`;
+	}
+
+	await saveFollowUps([...(await getFollowUps()), reminder]);
+	await chrome.alarms.create(`${FOLLOW_UP_PREFIX}${reminder.id}`, {
+		when: followUp.dueAt,
+	});
+	return { reminder, warning };
+}
+
+async function cancelFollowUp(reminderId) {
+	const followUps = await getFollowUps();
+	const reminder = followUps.find((item) => item.id === reminderId);
+	await chrome.alarms.clear(`${FOLLOW_UP_PREFIX}${reminderId}`);
+	await saveFollowUps(followUps.filter((item) => item.id !== reminderId));
+
+	if (reminder?.taskId) {
+		const headers = { "x-org-id": reminder.orgId };
+		await apiRequest(reminder.baseUrl, `/v1/task/${reminder.taskId}`, {
+			method: "DELETE",
+			headers,
+		}).catch((error) => {
+			console.warn("[OceanCRM] Task delete failed:", error.message);
+		});
+	}
+}
+
+async function fireFollowUp(reminderId) {
+	const followUps = await getFollowUps();
+	const reminder = followUps.find((item) => item.id === reminderId);
+	if (!reminder) return;
+
+	await saveFollowUps(
+		followUps.map((item) =>
+			item.id === reminderId ? { ...item, fired: true } : item,
+		),
+	);
+	chrome.notifications.create(`${FOLLOW_UP_PREFIX}${reminderId}`, {
+		type: "basic",
+		iconUrl: "icons/icon-128.png",
+		title: `Follow up: ${reminder.name || reminder.phone}`,
+		message: reminder.note || "Time to follow up with this contact.",
+		priority: 2,
+		requireInteraction: true,
+	});
+}
+
+// Alarms may be lost on browser restart and are cleared on extension update,
+// so they are re-created from storage; reminders that came due meanwhile fire
+// right away
+async function restoreFollowUpAlarms() {
+	const now = Date.now();
+	for (const reminder of await getFollowUps()) {
+		if (reminder.fired) continue;
+		if (reminder.dueAt <= now) {
+			await fireFollowUp(reminder.id);
+			continue;
+		}
+		await chrome.alarms.create(`${FOLLOW_UP_PREFIX}${reminder.id}`, {
+			when: reminder.dueAt,
+		});
+	}
+}
+
+// Reuses an open WhatsApp Web tab, whose content script opens the chat in
+// place; a new tab is only created when none is open
+async function openWhatsAppChat(phone) {
+	const digits = (phone || "").replace(/\D/g, "");
+	const [tab] = await chrome.tabs.query({ url: `${WHATSAPP_URL}*` });
+	if (!tab) {
+		await chrome.tabs.create({ url: `${WHATSAPP_URL}send?phone=${digits}` });
+		return;
+	}
+
+	await chrome.tabs.update(tab.id, { active: true });
+	await chrome.windows.update(tab.windowId, { focused: true });
+	chrome.tabs
+		.sendMessage(tab.id, { type: "openChat", phone: digits })
+		.catch(() => {
+			// Tab has no content script yet
+		});
+}
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+	if (!notificationId.startsWith(FOLLOW_UP_PREFIX)) return;
+
+	const reminderId = notificationId.slice(FOLLOW_UP_PREFIX.length);
+	const reminder = (await getFollowUps()).find(
+		(item) => item.id === reminderId,
+	);
+	chrome.notifications.clear(notificationId);
+	if (reminder) {
+		await openWhatsAppChat(reminder.phone);
+	}
+	await saveFollowUps(
+		(await getFollowUps()).filter((item) => item.id !== reminderId),
+	);
+});
+
+chrome.notifications.onClosed.addListener(async (notificationId) => {
+	if (!notificationId.startsWith(FOLLOW_UP_PREFIX)) return;
+
+	const reminderId = notificationId.slice(FOLLOW_UP_PREFIX.length);
+	await saveFollowUps(
+		(await getFollowUps()).filter((item) => item.id !== reminderId),
+	);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+	if (alarm.name === OUTBOX_ALARM) {
+		processOutbox();
+	} else if (alarm.name.startsWith(FOLLOW_UP_PREFIX)) {
+		fireFollowUp(alarm.name.slice(FOLLOW_UP_PREFIX.length));
+	}
+});
+
+chrome.runtime.onStartup.addListener(() => {
+	processOutbox();
+	restoreFollowUpAlarms();
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+	processOutbox();
+	restoreFollowUpAlarms();
+});
+
+function toLeadList(data) {
+	if (Array.isArray(data)) {
+		return data;
+	}
+	return data?.items || data?.leads || [];
+}
+
+// Finds the lead linked to a phone number and loads its full details
+async function lookupLead(baseUrl, orgId, mobile) {
+	const headers = { "x-org-id": orgId };
+	const query = buildQuery({ mobile });
+	const matches = await apiRequest(baseUrl, `/v1/lead/search${query}`, {
+		headers,
+	});
+	const leads = toLeadList(matches);
+	if (leads.length) {
+		return apiRequest(baseUrl, `/v1/lead/${leads[0].id}`, { headers });
+	}
+
+	// Fall back to the lead this chat was created as
+	const leadId = (await getChatLeads())[orgId]?.[mobile];
+	if (!leadId) {
+		return null;
+	}
+	try {
+		return await apiRequest(baseUrl, `/v1/lead/${leadId}`, { headers });
+	} catch (error) {
+		if (error.status !== 404) throw error;
+		// Deleted in the CRM
+		await removeChatLead(orgId, mobile);
+		return null;
+	}
+}
+
+// Matches a batch of chat list numbers to leads in a single request
+async function lookupLeadsByMobile(baseUrl, orgId, mobiles) {
+	const headers = {
+		"x-org-id": orgId,
+		"Content-Type": "application/json",
+	};
+	const data = await apiRequest(baseUrl, "/v1/lead/lookup", {
+		method: "POST",
+		headers,
+		body: { mobiles },
+	});
+
+	const matches = {};
+	for (const lead of toLeadList(data)) {
+		const digits = (lead.business?.mobile || lead.mobile || "").replace(
+			/\D/g,
+			"",
+		);
+		if (!digits) continue;
+		// Older CRM records may be stored without the country code
+		const mobile = mobiles.find((m) => {
+			const wanted = m.replace(/\D/g, "");
+			return wanted.endsWith(digits) || digits.endsWith(wanted);
+		});
+		if (mobile) {
+			matches[mobile] = { id: lead.id, stage: lead.stage };
+		}
+	}
+	return matches;
+}
+
+// ============ KEYBOARD COMMANDS ============
+// Shortcuts run in WhatsApp Web; when another tab has focus the WhatsApp tab
+// is brought forward first
+chrome.commands.onCommand.addListener(async (command, tab) => {
+	let target = tab?.url?.startsWith(WHATSAPP_URL) ? tab : null;
+	if (!target) {
+		const [whatsAppTab] = await chrome.tabs.query({ url: `${WHATSAPP_URL}*` });
+		if (!whatsAppTab) return;
+		target = whatsAppTab;
+		await chrome.tabs.update(target.id, { active: true });
+		await chrome.windows.update(target.windowId, { focused: true });
+	}
+
+	chrome.tabs
+		.sendMessage(target.id, { type: "runCommand", command })
+		.catch(() => {
+			// Tab has no content script yet
+		});
+});
+
 chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 	const baseUrl = message.baseUrl || DEFAULT_BASE_URL;
 
 	if (message.type === "getOrgs") {
 		apiRequest(baseUrl, "/v1/org/current")
 			.then((data) => sendResponse({ ok: true, data }))
-			.catch((error) => sendResponse({ ok: false, error: error.message }));
+			.catch((error) => sendResponse(toErrorResponse(error)));
 		return true;
 	}
 
@@ -75,29 +803,144 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 		const headers = { "x-org-id": message.orgId };
 		apiRequest(baseUrl, "/v1/lead/stage/", { headers })
 			.then((data) => sendResponse({ ok: true, data }))
-			.catch((error) => sendResponse({ ok: false, error: error.message }));
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (LEAD_OPTION_PATHS[message.type]) {
+		const headers = { "x-org-id": message.orgId };
+		apiRequest(baseUrl, LEAD_OPTION_PATHS[message.type], { headers })
+			.then((data) => sendResponse({ ok: true, data }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "getTemplates") {
+		const headers = { "x-org-id": message.orgId };
+		apiRequest(baseUrl, "/v1/template/?channel=whatsapp", { headers })
+			.then((data) => sendResponse({ ok: true, data: data || [] }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "getRequiredFields") {
+		const headers = { "x-org-id": message.orgId };
+		apiRequest(baseUrl, "/v1/lead/required-fields", { headers })
+			.then((data) => sendResponse({ ok: true, data: data || [] }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
 		return true;
 	}
 
 	if (message.type === "createLead") {
+		createLeadRequest(baseUrl, message.orgId, message.lead)
+			.then((data) => sendResponse({ ok: true, data, leadId: getLeadId(data) }))
+			.catch(async (error) => {
+				if (!isRetryableError(error)) {
+					sendResponse(toErrorResponse(error));
+					return;
+				}
+				await enqueueLead(baseUrl, message.orgId, message.lead, error);
+				sendResponse({
+					...toErrorResponse(error),
+					queued: true,
+					error: "CRM unreachable. Lead queued for retry.",
+				});
+			});
+		return true;
+	}
+
+	if (message.type === "scheduleFollowUp") {
+		scheduleFollowUp(baseUrl, message.orgId, message.followUp)
+			.then((data) => sendResponse({ ok: true, data }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "cancelFollowUp") {
+		cancelFollowUp(message.reminderId)
+			.then(() => sendResponse({ ok: true }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "retryOutboxItem") {
+		retryOutboxItem(message.itemId)
+			.then(() => sendResponse({ ok: true }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "discardOutboxItem") {
+		discardOutboxItem(message.itemId)
+			.then(() => sendResponse({ ok: true }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "searchLeads") {
+		const headers = { "x-org-id": message.orgId };
+		const query = buildQuery({ mobile: message.mobile, email: message.email });
+		apiRequest(baseUrl, `/v1/lead/search${query}`, { headers })
+			.then((data) => sendResponse({ ok: true, data: toLeadList(data) }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "lookupLead") {
+		lookupLead(baseUrl, message.orgId, message.mobile)
+			.then((data) => sendResponse({ ok: true, data }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "lookupLeadsBatch") {
+		lookupLeadsByMobile(baseUrl, message.orgId, message.mobiles || [])
+			.then((data) => sendResponse({ ok: true, data }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "updateLead") {
 		const headers = {
 			"x-org-id": message.orgId,
 			"Content-Type": "application/json",
 		};
-		apiRequest(baseUrl, "/v1/lead", {
-			method: "POST",
+		apiRequest(baseUrl, `/v1/lead/${message.leadId}`, {
+			method: "PATCH",
 			headers,
 			body: message.lead,
 		})
 			.then((data) => sendResponse({ ok: true, data }))
-			.catch((error) => sendResponse({ ok: false, error: error.message }));
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "logLeadActivity") {
+		const headers = {
+			"x-org-id": message.orgId,
+			"Content-Type": "application/json",
+		};
+		apiRequest(baseUrl, `/v1/lead/${message.leadId}/activity`, {
+			method: "POST",
+			headers,
+			body: message.activity,
+		})
+			.then((data) => sendResponse({ ok: true, data }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
+		return true;
+	}
+
+	if (message.type === "requestHostPermission") {
+		requestHostPermission(baseUrl)
+			.then((data) => sendResponse({ ok: true, data }))
+			.catch((error) => sendResponse(toErrorResponse(error)));
 		return true;
 	}
 
 	if (message.type === "pingAuth") {
 		apiRequest(baseUrl, "/v1/user/logged")
 			.then((data) => sendResponse({ ok: true, data }))
-			.catch((error) => sendResponse({ ok: false, error: error.message }));
+			.catch((error) => sendResponse(toErrorResponse(error)));
 		return true;
 	}
 
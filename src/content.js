@@ -32,6 +32,327 @@ function sanitizePhone(value) {
 	return digits;
 }
 
+// ============ STATE STORE ============
+// One state object shared by the sidebar and the floating widget. Loaders and
+// input handlers write through setState; each view subscribes to the keys it
+// renders, so a change made in one UI shows up in the other.
+const appState = {
+	uiMode: "both",
+	session: "unknown",
+	sessionMessage: "Not checked",
+	orgs: [],
+	orgId: "",
+	stages: [],
+	stageName: "",
+	form: { name: "", phone: "", email: "", notes: "" },
+	chat: { id: "", name: "", phone: "", isGroup: false },
+	status: { message: "", isError: false },
+};
+const stateListeners = [];
+
+function setState(patch) {
+	const changed = Object.keys(patch).filter(
+		(key) => appState[key] !== patch[key],
+	);
+	if (!changed.length) return;
+
+	Object.assign(appState, patch);
+	for (const { keys, listener } of stateListeners) {
+		if (keys.some((key) => changed.includes(key))) {
+			listener(appState);
+		}
+	}
+}
+
+// The listener runs once right away so a new view starts in sync
+function subscribe(keys, listener) {
+	const entry = { keys, listener };
+	stateListeners.push(entry);
+	listener(appState);
+	return () => stateListeners.splice(stateListeners.indexOf(entry), 1);
+}
+
+function updateForm(fields) {
+	setState({ form: { ...appState.form, ...fields } });
+}
+
+function setStatus(message, isError = false) {
+	setState({ status: { message, isError } });
+}
+
+function setSessionState(signedIn) {
+	setState({
+		session: signedIn ? "signed-in" : "signed-out",
+		sessionMessage: signedIn ? "Signed in ✓" : "Signed out",
+	});
+}
+
+// ============ PHONE NORMALIZATION ============
+// Dial code and valid national number lengths (without trunk prefix)
+const PHONE_COUNTRIES = {
+	IN: { name: "India", dial: "91", lengths: [10] },
+	US: { name: "United States / Canada", dial: "1", lengths: [10] },
+	GB: { name: "United Kingdom", dial: "44", lengths: [10] },
+	AE: { name: "United Arab Emirates", dial: "971", lengths: [9] },
+	SA: { name: "Saudi Arabia", dial: "966", lengths: [9] },
+	QA: { name: "Qatar", dial: "974", lengths: [8] },
+	KW: { name: "Kuwait", dial: "965", lengths: [8] },
+	OM: { name: "Oman", dial: "968", lengths: [8] },
+	BH: { name: "Bahrain", dial: "973", lengths: [8] },
+	SG: { name: "Singapore", dial: "65", lengths: [8] },
+	MY: { name: "Malaysia", dial: "60", lengths: [9, 10] },
+	AU: { name: "Australia", dial: "61", lengths: [9] },
+	NZ: { name: "New Zealand", dial: "64", lengths: [8, 9, 10] },
+	DE: { name: "Germany", dial: "49", lengths: [10, 11] },
+	FR: { name: "France", dial: "33", lengths: [9] },
+	NP: { name: "Nepal", dial: "977", lengths: [10] },
+	BD: { name: "Bangladesh", dial: "880", lengths: [10] },
+	LK: { name: "Sri Lanka", dial: "94", lengths: [9] },
+	PK: { name: "Pakistan", dial: "92", lengths: [10] },
+	ZA: { name: "South Africa", dial: "27", lengths: [9] },
+	KE: { name: "Kenya", dial: "254", lengths: [9] },
+	NG: { name: "Nigeria", dial: "234", lengths: [10] },
+};
+const DEFAULT_PHONE_COUNTRY = "IN";
+let defaultPhoneCountry = DEFAULT_PHONE_COUNTRY;
+
+async function loadPhoneSettings() {
+	const stored = await chrome.storage.local.get({
+		defaultCountry: DEFAULT_PHONE_COUNTRY,
+	});
+	defaultPhoneCountry = PHONE_COUNTRIES[stored.defaultCountry]
+		? stored.defaultCountry
+		: DEFAULT_PHONE_COUNTRY;
+}
+
+function isValidInternationalNumber(digits) {
+	return Object.values(PHONE_COUNTRIES).some(
+		(country) =>
+			digits.startsWith(country.dial) &&
+			country.lengths.includes(digits.length - country.dial.length),
+	);
+}
+
+// Returns { e164, valid, ambiguous, candidates, reason }. Numbers without a
+// "+" or "00" prefix are read in the default country first; when they also
+// form a valid international number the result is flagged as ambiguous.
+function normalizePhone(value, { international = false } = {}) {
+	const result = {
+		e164: "",
+		valid: false,
+		ambiguous: false,
+		candidates: [],
+		reason: "",
+	};
+	const raw = String(value || "").trim();
+	let digits = raw.replace(/\D/g, "");
+	if (!digits) {
+		return result;
+	}
+
+	let isInternational = international || raw.startsWith("+");
+	if (!isInternational && digits.startsWith("00")) {
+		digits = digits.slice(2);
+		isInternational = true;
+	}
+
+	const country = PHONE_COUNTRIES[defaultPhoneCountry];
+	const national = digits.replace(/^0/, "");
+	if (!isInternational && country.lengths.includes(national.length)) {
+		result.candidates.push(`+${country.dial}${national}`);
+	}
+	if (isValidInternationalNumber(digits)) {
+		result.candidates.push(`+${digits}`);
+	}
+
+	if (result.candidates.length) {
+		result.e164 = result.candidates[0];
+		result.valid = true;
+		result.ambiguous = result.candidates.length > 1;
+		return result;
+	}
+
+	// Countries outside the table are accepted on E.164 length alone
+	if (isInternational && digits.length >= 8 && digits.length <= 15) {
+		result.e164 = `+${digits}`;
+		result.valid = true;
+		result.candidates.push(result.e164);
+		return result;
+	}
+
+	result.reason = `Not a valid ${country.name} number`;
+	return result;
+}
+
+function toE164(value, options) {
+	return normalizePhone(value, options).e164 || sanitizePhone(value);
+}
+
+// ============ SELECTOR REGISTRY ============
+// Every WhatsApp DOM selector the detectors rely on, tried in order. Overrides
+// from storage ({ version, selectors: { key: [...] } }) are tried before the
+// defaults, so a broken selector can be fixed without a new build. Bump
+// SELECTORS_VERSION when the defaults change: overrides written for an older
+// registry are ignored so they cannot shadow the new defaults.
+const SELECTORS_VERSION = 1;
+
+const DEFAULT_SELECTORS = {
+	appReady: [
+		'[title="Unread chats filter"]',
+		'[title="Chat filters menu"]',
+		"#side",
+		"#app > div > div > div",
+	],
+	conversation: ["#main"],
+	chatHeaderTitle: [
+		"header span[title]",
+		'header [data-testid="conversation-header"] span[title]',
+		'header [data-testid="conversation-info-header"] span[title]',
+		"#main header span[title]",
+		'#main header span[dir="auto"]',
+		'div[data-testid="conversation-panel-wrapper"] header span[title]',
+	],
+	chatHeader: ["#main header"],
+	infoPanel: [
+		"div[data-testid='drawer-right']",
+		"section[aria-label*='Contact']",
+		"section[aria-label*='contact']",
+		"div[data-testid='contact-info-drawer']",
+		"#app aside",
+		"span[data-testid='chat-info-drawer']",
+	],
+	chatDataId: [
+		'#main [data-id*="@c.us"]',
+		'#main [data-id*="@s.whatsapp.net"]',
+		'[data-testid="conversation-panel-wrapper"] [data-id*="@"]',
+	],
+	activeChat: [
+		'[data-testid="cell-frame-container"][aria-selected="true"]',
+		'div[tabindex="-1"][data-testid="cell-frame-container"]:focus-within',
+	],
+	messageText: ["div[role='row'] span.selectable-text"],
+	messageRow: ["#main div[role='row']"],
+	composer: [
+		'#main footer div[contenteditable="true"]',
+		'#main div[contenteditable="true"][data-tab="10"]',
+		'footer div[contenteditable="true"]',
+	],
+	contactCard: [
+		'#main [data-testid="vcard-msg"]',
+		'#main [data-testid="contact-card"]',
+		'#main div[role="row"] [data-testid="vcard"]',
+	],
+	// Chat list rows; callers scope them to #side
+	chatRow: ['[data-testid="cell-frame-container"]'],
+	chatSearch: [
+		'#side div[contenteditable="true"][data-tab="3"]',
+		'#side [role="textbox"][contenteditable="true"]',
+	],
+	// Comma-separated member list under a group's title
+	groupSubtitle: [
+		'#main header [data-testid="chat-subtitle"] span[title]',
+		'#main header span[title*=","]',
+	],
+	// Group message ids end with the author's jid
+	groupMessage: ['#main div[role="row"] [data-id*="@g.us_"]'],
+	// WhatsApp Business label icons; names sit in aria-label or title
+	chatHeaderLabel: [
+		'#main header [data-testid="chat-label"]',
+		'#main header span[data-icon^="label"]',
+	],
+	chatRowLabel: ['[data-testid="chat-label"]', 'span[data-icon^="label"]'],
+};
+
+// Detectors whose failure means the sidebar is working blind, with how many
+// failures in a row trigger the warning
+const CRITICAL_DETECTORS = {
+	appReady: { label: "WhatsApp layout", streak: 1 },
+	chatName: { label: "Chat name", streak: 3 },
+};
+
+let selectorOverrides = {};
+// detector -> { success, failure, streak }
+const detectorStats = {};
+
+function isValidSelector(selector) {
+	try {
+		document.createDocumentFragment().querySelector(selector);
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+// Drops unknown keys and selectors that would throw in querySelector
+function sanitizeSelectorOverrides(selectors) {
+	const clean = {};
+	for (const [key, list] of Object.entries(selectors || {})) {
+		if (!DEFAULT_SELECTORS[key] || !Array.isArray(list)) continue;
+		const valid = list.filter(
+			(selector) => typeof selector === "string" && isValidSelector(selector),
+		);
+		if (valid.length) clean[key] = valid;
+	}
+	return clean;
+}
+
+async function loadSelectorOverrides() {
+	const { selectorOverrides: stored } = await chrome.storage.local.get({
+		selectorOverrides: null,
+	});
+	if (stored && stored.version !== SELECTORS_VERSION) {
+		console.warn(
+			`[OceanCRM] Ignoring selector overrides for registry v${stored.version}`,
+		);
+	}
+	selectorOverrides =
+		stored?.version === SELECTORS_VERSION
+			? sanitizeSelectorOverrides(stored.selectors)
+			: {};
+}
+
+function getSelectors(key) {
+	return [...(selectorOverrides[key] || []), ...DEFAULT_SELECTORS[key]];
+}
+
+// All selectors of a key as one selector list, for querySelectorAll/closest
+function joinSelectors(key) {
+	return getSelectors(key).join(", ");
+}
+
+function queryFirst(key, root = document) {
+	for (const selector of getSelectors(key)) {
+		const el = root.querySelector(selector);
+		if (el) return el;
+	}
+	return null;
+}
+
+function recordDetection(detector, ok) {
+	const stats = (detectorStats[detector] ||= {
+		success: 0,
+		failure: 0,
+		streak: 0,
+	});
+	if (ok) {
+		stats.success += 1;
+		stats.streak = 0;
+	} else {
+		stats.failure += 1;
+		stats.streak += 1;
+	}
+}
+
+// Labels of critical detectors that keep failing
+function checkSelectorHealth() {
+	return Object.entries(CRITICAL_DETECTORS)
+		.filter(
+			([detector, { streak }]) =>
+				(detectorStats[detector]?.streak || 0) >= streak,
+		)
+		.map(([, { label }]) => label);
+}
+
 // ============ PROMISE-BASED ELEMENT DETECTION ============
 function waitForElements(selectors, timeout = 30000) {
 	return new Promise((resolve, reject) => {
@@ -112,7 +433,8 @@ function cycleLoadingMessages(duration = 5000) {
 }
 
 // ============ TOAST NOTIFICATIONS ============
-function showToast(message, type = "success", duration = 3000) {
+// link: optional { label, href } shown after the message
+function showToast(message, type = "success", duration = 3000, link = null) {
 	const existing = document.getElementById("ocrm-toast");
 	if (existing) existing.remove();
 
@@ -120,6 +442,15 @@ function showToast(message, type = "success", duration = 3000) {
 	toast.id = "ocrm-toast";
 	toast.className = `ocrm-toast ${type}`;
 	toast.textContent = message;
+	if (link) {
+		const anchor = document.createElement("a");
+		anchor.className = "ocrm-toast-link";
+		anchor.href = link.href;
+		anchor.target = "_blank";
+		anchor.rel = "noopener";
+		anchor.textContent = link.label;
+		toast.appendChild(anchor);
+	}
 	document.body.appendChild(toast);
 
 	setTimeout(() => {
@@ -129,23 +460,7 @@ function showToast(message, type = "success", duration = 3000) {
 }
 
 function detectPhoneFromInfoPanel() {
-	const panelSelectors = [
-		"div[data-testid='drawer-right']",
-		"section[aria-label*='Contact']",
-		"section[aria-label*='contact']",
-		"div[data-testid='contact-info-drawer']",
-		"#app aside",
-		"span[data-testid='chat-info-drawer']",
-	];
-
-	let panel = null;
-	for (const selector of panelSelectors) {
-		const match = document.querySelector(selector);
-		if (match) {
-			panel = match;
-			break;
-		}
-	}
+	const panel = queryFirst("infoPanel");
 
 	if (!panel) {
 		return "";
@@ -213,16 +528,10 @@ function detectPhoneFromUrl() {
 // Extract phone from data-id attribute on chat elements
 function detectPhoneFromDataId() {
 	// WhatsApp stores phone numbers in data-id attributes like "1234567890@c.us"
-	const chatSelectors = [
-		'#main [data-id*="@c.us"]',
-		'#main [data-id*="@s.whatsapp.net"]',
-		'[data-testid="conversation-panel-wrapper"] [data-id*="@"]',
-		'div[data-testid="cell-frame-container"][data-id*="@"]',
-	];
-
-	for (const selector of chatSelectors) {
+	const conversation = queryFirst("conversation");
+	for (const selector of getSelectors("chatDataId")) {
 		const el = document.querySelector(selector);
-		if (el) {
+		if (el && conversation?.contains(el)) {
 			const dataId = el.getAttribute("data-id") || "";
 			const match = dataId.match(/(\d{7,15})@/);
 			if (match) {
@@ -237,13 +546,7 @@ function detectPhoneFromDataId() {
 // Extract phone from the active chat in the list
 function detectPhoneFromChatList() {
 	// Look for the currently selected/active chat
-	const activeChat =
-		document.querySelector(
-			'[data-testid="cell-frame-container"][aria-selected="true"]',
-		) ||
-		document.querySelector(
-			'div[tabindex="-1"][data-testid="cell-frame-container"]:focus-within',
-		);
+	const activeChat = queryFirst("activeChat");
 
 	if (activeChat) {
 		const dataId = activeChat.getAttribute("data-id") || "";
@@ -258,17 +561,8 @@ function detectPhoneFromChatList() {
 
 function detectChatInfo() {
 	// Try multiple selectors for chat header name
-	const headerSelectors = [
-		"header span[title]",
-		'header [data-testid="conversation-header"] span[title]',
-		'header [data-testid="conversation-info-header"] span[title]',
-		"#main header span[title]",
-		'#main header span[dir="auto"]',
-		'div[data-testid="conversation-panel-wrapper"] header span[title]',
-	];
-
 	let rawTitle = "";
-	for (const selector of headerSelectors) {
+	for (const selector of getSelectors("chatHeaderTitle")) {
 		const el = document.querySelector(selector);
 		if (el) {
 			rawTitle = el.getAttribute("title") || el.textContent || "";
@@ -281,25 +575,33 @@ function detectChatInfo() {
 
 	// Try multiple detection methods (in priority order)
 	let detectedPhone = "";
+	let fromWhatsAppId = false;
 
 	// 1. Phone from URL (most reliable for active conversion)
 	if (!detectedPhone) {
 		detectedPhone = detectPhoneFromUrl();
+		recordDetection("phoneFromUrl", Boolean(detectedPhone));
 	}
 
 	// 2. Phone from data-id attributes
 	if (!detectedPhone) {
 		detectedPhone = detectPhoneFromDataId();
+		recordDetection("phoneFromDataId", Boolean(detectedPhone));
 	}
 
 	// 3. Phone from chat list
 	if (!detectedPhone) {
 		detectedPhone = detectPhoneFromChatList();
+		recordDetection("phoneFromChatList", Boolean(detectedPhone));
 	}
 
+	// Numbers from WhatsApp ids always carry the country code
+	fromWhatsAppId = Boolean(detectedPhone);
+
 	// 4. Phone from info panel
 	if (!detectedPhone) {
 		detectedPhone = detectPhoneFromInfoPanel();
+		recordDetection("phoneFromInfoPanel", Boolean(detectedPhone));
 	}
 
 	// 5. Phone from header (if title is a phone number)
@@ -309,7 +611,7 @@ function detectChatInfo() {
 
 	// 6. Try to detect phone from main conversation area
 	if (!detectedPhone) {
-		const mainHeader = document.querySelector("#main header");
+		const mainHeader = queryFirst("chatHeader");
 		if (mainHeader) {
 			const allSpans = mainHeader.querySelectorAll("span");
 			for (const span of allSpans) {
@@ -330,18 +632,203 @@ function detectChatInfo() {
 		name = "";
 	}
 
-	console.log("[OceanCRM] Detected:", { name, phone: detectedPhone, rawTitle });
+	// Only an open conversation tells us anything about selector health
+	if (queryFirst("conversation")) {
+		recordDetection("chatName", Boolean(rawTitle));
+		recordDetection("chatPhone", Boolean(detectedPhone));
+	}
 
 	return {
 		name: name || "",
-		phone: detectedPhone || "",
+		phone: detectedPhone
+			? toE164(detectedPhone, { international: fromWhatsAppId })
+			: "",
+	};
+}
+
+// ============ CHAT CONTEXT ============
+// Tracks the open chat without watching the whole page: one observer on the
+// #main header (title changes, late renders), childList-only observers on
+// #main and its parent for swapped headers and conversations, and
+// hash/popstate listeners. Subscribers get appState.chat through
+// onChatChanged. A separate observer on the message list refreshes the
+// views built from messages (shared contacts, group participants).
+const CHAT_CHECK_DELAY = 150;
+const MESSAGE_REFRESH_DELAY = 300;
+const CHAT_JID_PATTERN = /([\d-]+@(?:c\.us|g\.us|s\.whatsapp\.net|lid))/;
+
+let chatCheckTimer = null;
+let watchedChatHeader = null;
+let chatHeaderObserver = null;
+let watchedConversation = null;
+let conversationObserver = null;
+let conversationPaneObserver = null;
+let watchedMessageList = null;
+let messageListObserver = null;
+let messageRefreshTimer = null;
+
+// WhatsApp ids (message data-ids embed the chat jid) stay the same when the
+// contact is renamed, so they make the best key; the phone or title is the
+// fallback for layouts without data-ids. Only ids inside the open
+// conversation or on the selected chat row count: any other element may
+// belong to a different chat.
+function detectChatId(info) {
+	const conversation = queryFirst("conversation");
+	const candidates = getSelectors("chatDataId")
+		.map((selector) => document.querySelector(selector))
+		.filter((el) => el && conversation?.contains(el));
+	candidates.push(queryFirst("activeChat"));
+
+	for (const el of candidates) {
+		const match = el?.getAttribute("data-id")?.match(CHAT_JID_PATTERN);
+		if (match) return match[1].replace("@s.whatsapp.net", "@c.us");
+	}
+
+	const hashMatch = window.location.hash.match(CHAT_JID_PATTERN);
+	if (hashMatch) return hashMatch[1];
+
+	if (info.phone) return `${info.phone.replace(/\D/g, "")}@c.us`;
+	return info.name ? `name:${info.name}` : "";
+}
+
+// Re-reads the open chat; subscribers only hear about real changes
+function refreshChatContext() {
+	const open = Boolean(queryFirst("conversation"));
+	const info = open ? detectChatInfo() : { name: "", phone: "" };
+	const id = open ? detectChatId(info) : "";
+	const isGroup = id.endsWith("@g.us");
+	const current = appState.chat;
+
+	// Numbers found in a group belong to its members, not to the chat
+	if (isGroup) info.phone = "";
+
+	if (
+		id === current.id &&
+		info.name === current.name &&
+		info.phone === current.phone
+	) {
+		return;
+	}
+
+	setState({
+		chat: {
+			id,
+			name: info.name,
+			phone: info.phone,
+			isGroup,
+		},
+	});
+}
+
+function scheduleChatCheck() {
+	if (chatCheckTimer) return;
+	chatCheckTimer = setTimeout(() => {
+		chatCheckTimer = null;
+		try {
+			refreshChatContext();
+			watchMessageList();
+		} catch (e) {
+			console.warn("[OceanCRM] Chat detection error:", e);
+		}
+	}, CHAT_CHECK_DELAY);
+}
+
+// Re-attaches the header observer when WhatsApp replaces the conversation
+function watchChatHeader() {
+	const header = queryFirst("conversation") ? queryFirst("chatHeader") : null;
+	if (header === watchedChatHeader) return;
+
+	watchedChatHeader = header;
+	chatHeaderObserver?.disconnect();
+	chatHeaderObserver = null;
+	scheduleChatCheck();
+	if (!header) return;
+
+	chatHeaderObserver = new MutationObserver(scheduleChatCheck);
+	chatHeaderObserver.observe(header, {
+		subtree: true,
+		childList: true,
+		characterData: true,
+		attributes: true,
+		attributeFilter: ["title"],
+	});
+}
+
+// #main swaps its header when another chat opens; its parent swaps #main
+// itself in and out. Neither needs a subtree observer.
+function watchConversation() {
+	const conversation = queryFirst("conversation");
+	if (conversation !== watchedConversation) {
+		watchedConversation = conversation;
+		conversationObserver?.disconnect();
+		conversationObserver = null;
+		if (conversation) {
+			conversationObserver = new MutationObserver(() => {
+				watchChatHeader();
+				watchMessageList();
+			});
+			conversationObserver.observe(conversation, { childList: true });
+
+			// Kept on the last known pane so #main coming back is noticed too
+			conversationPaneObserver?.disconnect();
+			conversationPaneObserver = new MutationObserver(watchConversation);
+			conversationPaneObserver.observe(conversation.parentElement, {
+				childList: true,
+			});
+		}
+	}
+	watchChatHeader();
+	watchMessageList();
+}
+
+// New messages can carry contact cards or come from new group members. The
+// rows' parent is the list; it is only found once a message has rendered.
+function watchMessageList() {
+	const list = queryFirst("conversation")
+		? queryFirst("messageRow")?.parentElement || null
+		: null;
+	if (list === watchedMessageList) return;
+
+	watchedMessageList = list;
+	messageListObserver?.disconnect();
+	messageListObserver = null;
+	if (!list) return;
+
+	messageListObserver = new MutationObserver(scheduleMessageRefresh);
+	messageListObserver.observe(list, { childList: true });
+}
+
+function scheduleMessageRefresh() {
+	if (messageRefreshTimer) return;
+	messageRefreshTimer = setTimeout(() => {
+		messageRefreshTimer = null;
+		renderSharedContacts();
+		renderGroupParticipants();
+	}, MESSAGE_REFRESH_DELAY);
+}
+
+function onChatChanged(listener) {
+	return subscribe(["chat"], (state) => listener(state.chat));
+}
+
+function initChatContext() {
+	const onLocationChange = () => {
+		watchConversation();
+		scheduleChatCheck();
 	};
+	window.addEventListener("hashchange", onLocationChange);
+	window.addEventListener("popstate", onLocationChange);
+	// Until a chat has been opened there is no pane to observe; opening one
+	// from the chat list is the usual way in
+	document.getElementById("side")?.addEventListener("click", () => {
+		setTimeout(watchConversation, CHAT_CHECK_DELAY);
+	});
+	refreshChatContext();
+	watchConversation();
 }
 
 function detectChatPreview() {
-	const messages = document.querySelectorAll(
-		"div[role='row'] span.selectable-text",
-	);
+	const messages = document.querySelectorAll(joinSelectors("messageText"));
 	const last = messages.length ? messages[messages.length - 1] : null;
 	return last ? last.textContent || "" : "";
 }
@@ -356,6 +843,11 @@ function ensureSidebar() {
 	sidebar.id = "ocrm-sidebar";
 	sidebar.className = "ocrm-sidebar";
 	sidebar.innerHTML = `
+    <div class="ocrm-sidebar-header">
+      <label for="ocrm-sidebar-profile">CRM</label>
+      <select id="ocrm-sidebar-profile" title="Connection profile"></select>
+    </div>
+    
     <div class="ocrm-sidebar-tabs">
       <div class="ocrm-sidebar-tab active" data-tab="lead-info">
         <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -380,8 +872,24 @@ function ensureSidebar() {
     </div>
     
     <div class="ocrm-sidebar-content">
+      <div id="ocrm-sidebar-selector-warning" class="ocrm-selector-warning" hidden></div>
+      <div id="ocrm-sidebar-signed-out" class="ocrm-signed-out" hidden>
+        <span>You are signed out of the CRM.</span>
+        <button id="ocrm-sidebar-login" class="ocrm-btn-primary">Log in to CRM</button>
+      </div>
+      
       <!-- Lead Info Tab -->
-      <div class="ocrm-tab-pane active" id="ocrm-pane-lead-info">
+      <div class="ocrm-tab-pane active" id="ocrm-pane-lead-info" data-mode="create">
+        <div class="ocrm-section ocrm-linked-only">
+          <div class="ocrm-section-header">
+            <h3>CRM Lead</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div id="ocrm-sidebar-lead-card" class="ocrm-lead-card"></div>
+            <button id="ocrm-sidebar-log-chat" class="ocrm-btn-secondary">Log to CRM</button>
+          </div>
+        </div>
+        
         <div class="ocrm-section">
           <div class="ocrm-section-header">
             <h3>Contact Details</h3>
@@ -394,11 +902,16 @@ function ensureSidebar() {
             <div class="ocrm-field">
               <label>Phone</label>
               <input id="ocrm-sidebar-phone" type="text" placeholder="+1234567890" />
+              <div id="ocrm-sidebar-phone-hint" class="ocrm-field-hint"></div>
             </div>
             <div class="ocrm-field">
               <label>Email</label>
               <input id="ocrm-sidebar-email" type="email" placeholder="email@example.com" />
             </div>
+            <div class="ocrm-field">
+              <label>Company</label>
+              <input id="ocrm-sidebar-company" type="text" placeholder="Business name" />
+            </div>
           </div>
         </div>
         
@@ -414,7 +927,75 @@ function ensureSidebar() {
           </div>
         </div>
         
-        <div class="ocrm-section">
+        <div class="ocrm-section ocrm-create-only">
+          <div class="ocrm-section-header">
+            <h3>Lead Details</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div class="ocrm-field">
+              <label>Assigned To</label>
+              <select id="ocrm-sidebar-assigned"></select>
+            </div>
+            <div class="ocrm-field">
+              <label>Source</label>
+              <select id="ocrm-sidebar-source"></select>
+            </div>
+            <div class="ocrm-field">
+              <label>Product</label>
+              <select id="ocrm-sidebar-product"></select>
+            </div>
+            <div class="ocrm-field">
+              <label>Tags</label>
+              <select id="ocrm-sidebar-tags" multiple></select>
+            </div>
+            <div class="ocrm-field">
+              <label>Potential</label>
+              <input id="ocrm-sidebar-potential" type="number" min="0" step="any" placeholder="0" />
+            </div>
+            <div class="ocrm-field">
+              <label>Requirements</label>
+              <textarea id="ocrm-sidebar-requirements" rows="3" placeholder="What is the contact looking for?"></textarea>
+            </div>
+          </div>
+        </div>
+        
+        <div class="ocrm-section ocrm-create-only">
+          <div class="ocrm-section-header">
+            <h3>Business Details</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div class="ocrm-field">
+              <label>Designation</label>
+              <input id="ocrm-sidebar-designation" type="text" placeholder="Purchase Manager" />
+            </div>
+            <div class="ocrm-field">
+              <label>Website</label>
+              <input id="ocrm-sidebar-website" type="text" placeholder="https://example.com" />
+            </div>
+            <div class="ocrm-field">
+              <label>GSTIN</label>
+              <input id="ocrm-sidebar-gstin" type="text" placeholder="22AAAAA0000A1Z5" />
+            </div>
+            <div class="ocrm-field">
+              <label>Address Line 1</label>
+              <input id="ocrm-sidebar-address1" type="text" />
+            </div>
+            <div class="ocrm-field">
+              <label>Address Line 2</label>
+              <input id="ocrm-sidebar-address2" type="text" />
+            </div>
+            <div class="ocrm-field">
+              <label>City</label>
+              <input id="ocrm-sidebar-city" type="text" />
+            </div>
+            <div class="ocrm-field">
+              <label>Country</label>
+              <input id="ocrm-sidebar-country" type="text" />
+            </div>
+          </div>
+        </div>
+        
+        <div class="ocrm-section ocrm-create-only">
           <div class="ocrm-section-header">
             <h3>Notes</h3>
           </div>
@@ -423,16 +1004,59 @@ function ensureSidebar() {
           </div>
         </div>
         
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>Follow Up</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div class="ocrm-field">
+              <label>When</label>
+              <input id="ocrm-sidebar-followup-at" type="datetime-local" />
+            </div>
+            <div class="ocrm-field">
+              <label>Note</label>
+              <textarea id="ocrm-sidebar-followup-note" rows="2" placeholder="Send the revised quotation"></textarea>
+            </div>
+            <button id="ocrm-sidebar-followup-save" class="ocrm-btn-secondary">Schedule Reminder</button>
+            <div id="ocrm-sidebar-followups" class="ocrm-template-list"></div>
+          </div>
+        </div>
+        
+        <div id="ocrm-sidebar-duplicates" class="ocrm-duplicates" hidden></div>
+        
         <div class="ocrm-sidebar-actions">
-          <button id="ocrm-sidebar-create" class="ocrm-btn-primary">Create Lead</button>
+          <button id="ocrm-sidebar-create" class="ocrm-btn-primary ocrm-create-only">Create Lead</button>
           <button id="ocrm-sidebar-refresh" class="ocrm-btn-secondary">Refresh</button>
         </div>
         
         <div id="ocrm-sidebar-status" class="ocrm-sidebar-status"></div>
+        
+        <div id="ocrm-sidebar-outbox" class="ocrm-section" hidden>
+          <div class="ocrm-section-header">
+            <h3>Outbox</h3>
+          </div>
+          <div id="ocrm-sidebar-outbox-list" class="ocrm-section-body"></div>
+        </div>
       </div>
       
       <!-- Quick Actions Tab -->
       <div class="ocrm-tab-pane" id="ocrm-pane-quick-replies">
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>Quick Replies</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <p class="ocrm-hint">Click a template to put it in the message box. Placeholders: {{name}}, {{first_name}}, {{phone}}, {{email}}, {{stage}}, {{org}}.</p>
+            <div id="ocrm-sidebar-templates" class="ocrm-template-list"></div>
+            <div class="ocrm-field">
+              <label>New Template</label>
+              <input id="ocrm-sidebar-template-name" type="text" placeholder="Template name" />
+              <textarea id="ocrm-sidebar-template-body" rows="3" placeholder="Hi {{first_name}}, thanks for contacting {{org}}!"></textarea>
+              <button id="ocrm-sidebar-template-save" class="ocrm-btn-secondary">Save Template</button>
+            </div>
+          </div>
+        </div>
+        
         <div class="ocrm-section">
           <div class="ocrm-section-header">
             <h3>Quick Capture</h3>
@@ -440,7 +1064,8 @@ function ensureSidebar() {
           <div class="ocrm-section-body">
             <p class="ocrm-hint">Paste any text (WhatsApp chat, email, etc.) to extract lead info automatically.</p>
             <textarea id="ocrm-sidebar-paste" rows="5" placeholder="Paste text here..."></textarea>
-            <button id="ocrm-sidebar-apply-paste" class="ocrm-btn-secondary">Extract & Apply</button>
+            <button id="ocrm-sidebar-apply-paste" class="ocrm-btn-secondary">Extract</button>
+            <div id="ocrm-sidebar-paste-preview" class="ocrm-paste-preview" hidden></div>
           </div>
         </div>
         
@@ -458,49 +1083,152 @@ function ensureSidebar() {
                 <span>Detected Phone:</span>
                 <strong id="ocrm-detected-phone">-</strong>
               </div>
+              <div class="ocrm-detected-row">
+                <span>Labels:</span>
+                <strong id="ocrm-detected-labels">-</strong>
+              </div>
             </div>
             <button id="ocrm-sidebar-quick-create" class="ocrm-btn-primary">Create from Chat</button>
           </div>
         </div>
+        
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>Bulk Create</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <p class="ocrm-hint">Tick chats in the chat list, review the names, then create a lead for each of them.</p>
+            <button id="ocrm-sidebar-bulk-toggle" class="ocrm-btn-secondary">Select chats</button>
+            <div id="ocrm-sidebar-bulk-review" class="ocrm-bulk-review" hidden></div>
+          </div>
+        </div>
+        
+        <div id="ocrm-sidebar-group-section" class="ocrm-section" hidden>
+          <div class="ocrm-section-header">
+            <h3>Group Participants</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <p id="ocrm-sidebar-group-hint" class="ocrm-hint"></p>
+            <div id="ocrm-sidebar-group-participants"></div>
+          </div>
+        </div>
+
+        <div id="ocrm-sidebar-contacts-section" class="ocrm-section" hidden>
+          <div class="ocrm-section-header">
+            <h3>Shared Contacts</h3>
+          </div>
+          <div id="ocrm-sidebar-contacts" class="ocrm-section-body"></div>
+        </div>
       </div>
       
       <!-- Settings Tab -->
       <div class="ocrm-tab-pane" id="ocrm-pane-settings">
         <div class="ocrm-section">
           <div class="ocrm-section-header">
-            <h3>API Configuration</h3>
+            <h3>Connection Profile</h3>
           </div>
           <div class="ocrm-section-body">
+            <div class="ocrm-field">
+              <label>Profile Name</label>
+              <input id="ocrm-sidebar-profile-name" type="text" placeholder="Production" />
+            </div>
             <div class="ocrm-field">
               <label>API Base URL</label>
               <input id="ocrm-sidebar-base-url" type="text" placeholder="https://crm.oceantechnolab.com/api" />
-              <button id="ocrm-sidebar-save-url" class="ocrm-btn-secondary" style="margin-top:8px">Save URL</button>
+            </div>
+            <p class="ocrm-hint">The organization and stage you pick are remembered per profile.</p>
+            <div class="ocrm-profile-actions">
+              <button id="ocrm-sidebar-save-url" class="ocrm-btn-secondary">Save Profile</button>
+              <button id="ocrm-sidebar-add-profile" class="ocrm-btn-secondary">Add as New</button>
+              <button id="ocrm-sidebar-delete-profile" class="ocrm-btn-secondary">Delete</button>
             </div>
           </div>
         </div>
         
         <div class="ocrm-section">
           <div class="ocrm-section-header">
-            <h3>Session</h3>
+            <h3>Display</h3>
           </div>
           <div class="ocrm-section-body">
-            <div class="ocrm-session-info">
-              <span>Status:</span>
-              <strong id="ocrm-sidebar-session-status">Not checked</strong>
+            <div class="ocrm-field">
+              <label>Show CRM As</label>
+              <select id="ocrm-sidebar-ui-mode" data-ui-mode></select>
             </div>
-            <button id="ocrm-sidebar-check-session" class="ocrm-btn-secondary">Check Session</button>
           </div>
         </div>
         
         <div class="ocrm-section">
           <div class="ocrm-section-header">
-            <h3>Organization</h3>
+            <h3>Phone Numbers</h3>
           </div>
           <div class="ocrm-section-body">
             <div class="ocrm-field">
-              <label>Select Organization</label>
-              <select id="ocrm-sidebar-orgs"></select>
+              <label>Default Country</label>
+              <select id="ocrm-sidebar-default-country"></select>
             </div>
+            <p class="ocrm-hint">Numbers without a country code are saved in this country's format.</p>
+          </div>
+        </div>
+        
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>Session</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div class="ocrm-session-info">
+              <span>Status:</span>
+              <strong id="ocrm-sidebar-session-status">Not checked</strong>
+            </div>
+            <button id="ocrm-sidebar-check-session" class="ocrm-btn-secondary">Check Session</button>
+          </div>
+        </div>
+        
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>Organization</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div class="ocrm-field">
+              <label>Select Organization</label>
+              <select id="ocrm-sidebar-orgs"></select>
+            </div>
+          </div>
+        </div>
+        
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>WhatsApp Labels</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <p class="ocrm-hint">Chats with these WhatsApp Business labels get the mapped CRM tags for the selected organization.</p>
+            <table class="ocrm-bulk-table ocrm-label-table">
+              <thead><tr><th>Label</th><th>Tag</th><th>Stage</th><th></th></tr></thead>
+              <tbody id="ocrm-sidebar-label-rows"></tbody>
+            </table>
+            <datalist id="ocrm-sidebar-label-suggestions"></datalist>
+            <label class="ocrm-checkbox-field">
+              <input type="checkbox" id="ocrm-sidebar-label-stage-sync">
+              Move linked leads to the stage mapped from their labels
+            </label>
+            <div class="ocrm-profile-actions">
+              <button id="ocrm-sidebar-add-label" class="ocrm-btn-secondary">Add Label</button>
+              <button id="ocrm-sidebar-save-labels" class="ocrm-btn-primary">Save Labels</button>
+            </div>
+          </div>
+        </div>
+        
+        <div class="ocrm-section">
+          <div class="ocrm-section-header">
+            <h3>WhatsApp Detection</h3>
+          </div>
+          <div class="ocrm-section-body">
+            <div id="ocrm-sidebar-detection-stats" class="ocrm-detection-stats"></div>
+            <div class="ocrm-field">
+              <label>Selector Overrides (JSON)</label>
+              <textarea id="ocrm-sidebar-selector-overrides" rows="5" placeholder='{ "chatHeaderTitle": ["#main header span[title]"] }'></textarea>
+            </div>
+            <p id="ocrm-sidebar-selector-version" class="ocrm-hint"></p>
+            <button id="ocrm-sidebar-save-selectors" class="ocrm-btn-secondary">Save Overrides</button>
           </div>
         </div>
       </div>
@@ -519,36 +1247,100 @@ function ensureSidebar() {
 	// Tab switching
 	sidebar.querySelectorAll(".ocrm-sidebar-tab").forEach((tab) => {
 		tab.addEventListener("click", () => {
-			const tabName = tab.dataset.tab;
-			sidebar
-				.querySelectorAll(".ocrm-sidebar-tab")
-				.forEach((t) => t.classList.remove("active"));
-			sidebar
-				.querySelectorAll(".ocrm-tab-pane")
-				.forEach((p) => p.classList.remove("active"));
-			tab.classList.add("active");
-			document.getElementById(`ocrm-pane-${tabName}`)?.classList.add("active");
+			activateSidebarTab(tab.dataset.tab);
 		});
 	});
 
 	// Toggle sidebar
-	toggleBtn.addEventListener("click", () => {
-		sidebar.classList.toggle("collapsed");
-		toggleBtn.classList.toggle("collapsed");
-	});
+	toggleBtn.addEventListener("click", toggleSidebar);
 
 	initSidebarEvents();
 }
 
+function toggleSidebar() {
+	document.getElementById("ocrm-sidebar")?.classList.toggle("collapsed");
+	document.getElementById("ocrm-sidebar-toggle")?.classList.toggle("collapsed");
+}
+
+function activateSidebarTab(tabName) {
+	const sidebar = document.getElementById("ocrm-sidebar");
+	if (!sidebar) return;
+
+	sidebar
+		.querySelectorAll(".ocrm-sidebar-tab")
+		.forEach((t) => t.classList.toggle("active", t.dataset.tab === tabName));
+	sidebar
+		.querySelectorAll(".ocrm-tab-pane")
+		.forEach((p) => p.classList.remove("active"));
+	document.getElementById(`ocrm-pane-${tabName}`)?.classList.add("active");
+	if (tabName === "settings") {
+		renderDetectionStats();
+		renderLabelMappings();
+	}
+	if (tabName === "quick-replies") {
+		renderSharedContacts();
+		renderGroupParticipants();
+	}
+}
+
 function initSidebarEvents() {
-	// Save URL button
+	// Selector overrides
+	const saveSelectorsBtn = document.getElementById(
+		"ocrm-sidebar-save-selectors",
+	);
+	if (saveSelectorsBtn) {
+		saveSelectorsBtn.addEventListener("click", saveSelectorOverrides);
+	}
+
+	// Connection profiles
 	const saveUrlBtn = document.getElementById("ocrm-sidebar-save-url");
 	if (saveUrlBtn) {
-		saveUrlBtn.addEventListener("click", async () => {
-			const urlInput = document.getElementById("ocrm-sidebar-base-url");
-			const value = urlInput?.value.trim() || DEFAULT_BASE_URL;
-			await chrome.storage.local.set({ baseUrl: value });
-			showToast("API URL saved", "success");
+		saveUrlBtn.addEventListener("click", saveProfileFromSidebar);
+	}
+
+	const addProfileBtn = document.getElementById("ocrm-sidebar-add-profile");
+	if (addProfileBtn) {
+		addProfileBtn.addEventListener("click", addProfileFromSidebar);
+	}
+
+	const deleteProfileBtn = document.getElementById(
+		"ocrm-sidebar-delete-profile",
+	);
+	if (deleteProfileBtn) {
+		deleteProfileBtn.addEventListener("click", deleteActiveProfile);
+	}
+
+	const profileSelect = document.getElementById("ocrm-sidebar-profile");
+	if (profileSelect) {
+		profileSelect.addEventListener("change", (e) => {
+			switchProfile(e.target.value);
+		});
+	}
+
+	// Open the CRM login page in a new tab
+	const loginBtn = document.getElementById("ocrm-sidebar-login");
+	if (loginBtn) {
+		loginBtn.addEventListener("click", async () => {
+			const baseUrl = await loadBaseUrl();
+			window.open(getCrmLoginUrl(baseUrl), "_blank");
+		});
+	}
+
+	// Default phone country
+	const countrySelect = document.getElementById("ocrm-sidebar-default-country");
+	if (countrySelect) {
+		for (const [code, country] of Object.entries(PHONE_COUNTRIES)) {
+			const opt = document.createElement("option");
+			opt.value = code;
+			opt.textContent = `${country.name} (+${country.dial})`;
+			countrySelect.appendChild(opt);
+		}
+		countrySelect.value = defaultPhoneCountry;
+		countrySelect.addEventListener("change", async (e) => {
+			defaultPhoneCountry = e.target.value;
+			await chrome.storage.local.set({ defaultCountry: e.target.value });
+			updatePhoneHint();
+			showToast("Default country saved", "success");
 		});
 	}
 
@@ -557,26 +1349,27 @@ function initSidebarEvents() {
 	if (checkSessionBtn) {
 		checkSessionBtn.addEventListener("click", async () => {
 			const baseUrl = await loadBaseUrl();
-			await refreshSessionSidebar(baseUrl);
+			await checkSession(baseUrl);
 		});
 	}
 
 	// Org select change
 	const orgSelect = document.getElementById("ocrm-sidebar-orgs");
 	if (orgSelect) {
-		orgSelect.addEventListener("change", async (e) => {
-			const orgId = e.target.value;
-			await chrome.storage.local.set({ orgId });
-			const baseUrl = await loadBaseUrl();
-			await loadStagesSidebar(baseUrl, orgId);
-		});
+		orgSelect.addEventListener("change", (e) => changeOrg(e.target.value));
 	}
 
 	// Stage select change
 	const stageSelect = document.getElementById("ocrm-sidebar-stage");
 	if (stageSelect) {
 		stageSelect.addEventListener("change", async (e) => {
-			await chrome.storage.local.set({ stageName: e.target.value });
+			// Linked leads move through the pipeline; the stored stage is only
+			// the default for new leads
+			if (linkedLead) {
+				await updateLinkedLeadStage(e.target.value);
+				return;
+			}
+			await selectStage(e.target.value);
 		});
 	}
 
@@ -585,7 +1378,7 @@ function initSidebarEvents() {
 	if (createBtn) {
 		createBtn.addEventListener("click", async () => {
 			const baseUrl = await loadBaseUrl();
-			await createLeadFromSidebar(baseUrl);
+			await createLeadFromForm(baseUrl);
 		});
 	}
 
@@ -593,7 +1386,8 @@ function initSidebarEvents() {
 	const refreshBtn = document.getElementById("ocrm-sidebar-refresh");
 	if (refreshBtn) {
 		refreshBtn.addEventListener("click", () => {
-			fillSidebarFields();
+			refreshChatContext();
+			fillSidebarFields(true);
 		});
 	}
 
@@ -606,297 +1400,3717 @@ function initSidebarEvents() {
 		});
 	}
 
-	// Apply paste button
+	// Schedule a follow-up reminder for the open chat
+	const followUpBtn = document.getElementById("ocrm-sidebar-followup-save");
+	if (followUpBtn) {
+		followUpBtn.addEventListener("click", scheduleFollowUpFromSidebar);
+	}
+	resetFollowUpForm();
+
+	// Save a local quick reply template
+	const templateSaveBtn = document.getElementById("ocrm-sidebar-template-save");
+	if (templateSaveBtn) {
+		templateSaveBtn.addEventListener("click", saveLocalTemplate);
+	}
+
+	// Bulk select chats in the chat list
+	const bulkToggleBtn = document.getElementById("ocrm-sidebar-bulk-toggle");
+	if (bulkToggleBtn) {
+		bulkToggleBtn.addEventListener("click", () => {
+			if (bulkSelection) {
+				stopBulkSelection();
+			} else {
+				startBulkSelection();
+			}
+		});
+	}
+
+	// Log selected messages to the linked lead
+	const logChatBtn = document.getElementById("ocrm-sidebar-log-chat");
+	if (logChatBtn) {
+		logChatBtn.addEventListener("click", () => {
+			startMessageSelection();
+		});
+	}
+
+	// Extract button shows a preview; fields are applied from there
 	const applyPasteBtn = document.getElementById("ocrm-sidebar-apply-paste");
 	if (applyPasteBtn) {
 		applyPasteBtn.addEventListener("click", () => {
 			const input = document.getElementById("ocrm-sidebar-paste");
 			if (input?.value) {
-				applySidebarPaste(input.value);
-				input.value = "";
-				showToast("Lead info extracted", "success");
+				renderPastePreview(parseQuickPaste(input.value));
 			}
 		});
 	}
 }
 
-async function refreshSessionSidebar(baseUrl) {
-	const statusEl = document.getElementById("ocrm-sidebar-session-status");
-	if (statusEl) statusEl.textContent = "Checking...";
+// ============ SESSION STATE ============
+function getCrmLoginUrl(baseUrl) {
+	return `${getCrmWebUrl(baseUrl)}/login`;
+}
+
+async function checkSession(baseUrl) {
+	setState({ session: "checking", sessionMessage: "Checking..." });
 
 	const result = await sendMessage({ type: "pingAuth", baseUrl });
 	if (!result.ok) {
-		if (statusEl) {
-			statusEl.textContent = result.error || "Auth failed";
-			statusEl.classList.add("error");
-		}
+		setState({
+			session: result.code === "auth" ? "signed-out" : "error",
+			sessionMessage: result.error || "Auth failed",
+		});
 		return false;
 	}
 
-	if (statusEl) {
-		statusEl.textContent = "Signed in ✓";
-		statusEl.classList.remove("error");
+	setSessionState(true);
+	await loadOrgs(baseUrl);
+	return true;
+}
+
+// The background worker broadcasts session changes (expiry, logout, login
+// in another tab) so the sidebar never shows a stale state
+function initSessionEvents() {
+	chrome.runtime.onMessage.addListener((message) => {
+		if (message.type !== "sessionChanged") return;
+
+		// Orgs are only reloaded when this tab was not signed in already (or
+		// checking, which loads them itself), so picked lead options and chat
+		// badges survive a repeated announcement
+		const previous = appState.session;
+		setSessionState(message.signedIn);
+		if (message.signedIn) {
+			if (previous !== "signed-in" && previous !== "checking") {
+				loadBaseUrl().then((baseUrl) => loadOrgs(baseUrl));
+			}
+		} else if (previous !== "signed-out") {
+			showToast("Signed out of CRM", "warning");
+		}
+	});
+}
+
+// ============ STATE VIEWS ============
+const UI_MODES = {
+	both: "Sidebar and floating widget",
+	sidebar: "Sidebar only",
+	widget: "Floating widget only",
+};
+
+// Inputs bound to appState.form: [sidebar id, widget id]
+const FORM_INPUTS = {
+	name: ["ocrm-sidebar-name", "ocrm-name"],
+	phone: ["ocrm-sidebar-phone", "ocrm-phone"],
+	email: ["ocrm-sidebar-email", "ocrm-email"],
+	notes: ["ocrm-sidebar-notes", "ocrm-notes"],
+};
+
+function renderSession({ session, sessionMessage }) {
+	const banner = document.getElementById("ocrm-sidebar-signed-out");
+	if (banner) banner.hidden = session !== "signed-out";
+
+	const isError = session === "signed-out" || session === "error";
+	["ocrm-sidebar-session-status", "ocrm-session-status"].forEach((id) => {
+		const statusEl = document.getElementById(id);
+		if (!statusEl) return;
+		statusEl.textContent = sessionMessage;
+		statusEl.classList.toggle("error", isError);
+	});
+}
+
+function renderOrgPickers({ orgs, orgId }) {
+	["ocrm-sidebar-orgs", "ocrm-orgs"].forEach((id) => {
+		const select = document.getElementById(id);
+		if (!select) return;
+		fillOptionSelect(select, orgs);
+		select.value = orgId;
+	});
+}
+
+function renderStagePickers({ stages, stageName }) {
+	const options = stages.map((st) => ({ id: st.stage, name: st.stage }));
+
+	const widgetSelect = document.getElementById("ocrm-stages");
+	if (widgetSelect) {
+		fillOptionSelect(widgetSelect, options);
+		widgetSelect.value = stageName;
+	}
+
+	// The sidebar picker shows the linked lead's stage when there is one
+	const sidebarSelect = document.getElementById("ocrm-sidebar-stage");
+	if (sidebarSelect) {
+		fillOptionSelect(sidebarSelect, options);
+		sidebarSelect.value = stageName;
+		if (linkedLead) {
+			syncStageSelect(linkedLead.stage);
+		}
 	}
+}
 
-	await loadOrgsSidebar(baseUrl);
-	return true;
+function renderFormInputs({ form }) {
+	for (const [field, ids] of Object.entries(FORM_INPUTS)) {
+		ids.forEach((id) => {
+			const input = document.getElementById(id);
+			// Skip the input being typed into so the caret does not jump
+			if (input && input.value !== form[field]) {
+				input.value = form[field];
+			}
+		});
+	}
+	updatePhoneHint();
 }
 
-async function loadOrgsSidebar(baseUrl) {
-	const result = await sendMessage({ type: "getOrgs", baseUrl });
-	const orgSelect = document.getElementById("ocrm-sidebar-orgs");
-	if (!orgSelect) return;
+function renderStatus({ status }) {
+	["ocrm-sidebar-status", "ocrm-status"].forEach((id) => {
+		const statusEl = document.getElementById(id);
+		if (!statusEl) return;
+		statusEl.textContent = status.message;
+		statusEl.classList.toggle("error", status.isError);
+	});
+}
 
-	orgSelect.innerHTML = "";
+function renderUiMode({ uiMode }) {
+	document.documentElement.dataset.ocrmUi = uiMode;
+	setSidebarRevealed(false);
+	document.querySelectorAll("[data-ui-mode]").forEach((select) => {
+		select.value = uiMode;
+	});
+}
 
-	if (!result.ok) {
-		showToast(result.error || "Failed to load orgs", "error");
+// Widget-only mode borrows the sidebar for what the widget cannot show
+// (duplicate choices, field errors) until that is resolved
+function setSidebarRevealed(revealed) {
+	const root = document.documentElement;
+	if (!revealed || appState.uiMode !== "widget") {
+		delete root.dataset.ocrmSidebarRevealed;
 		return;
 	}
+	root.dataset.ocrmSidebarRevealed = "true";
+	document.getElementById("ocrm-sidebar")?.classList.remove("collapsed");
+	document.getElementById("ocrm-sidebar-toggle")?.classList.remove("collapsed");
+}
 
-	const orgs = result.data || [];
-	for (const org of orgs) {
-		const opt = document.createElement("option");
-		opt.value = org.id;
-		opt.textContent = org.name;
-		orgSelect.appendChild(opt);
+async function initStateViews() {
+	for (const [field, ids] of Object.entries(FORM_INPUTS)) {
+		ids.forEach((id) => {
+			document.getElementById(id)?.addEventListener("input", (e) => {
+				updateForm({ [field]: e.target.value });
+			});
+		});
 	}
 
-	const stored = await chrome.storage.local.get({ orgId: "" });
-	if (stored.orgId && orgs.some((o) => o.id === stored.orgId)) {
-		orgSelect.value = stored.orgId;
-	} else if (orgs.length > 0) {
-		// Auto-select first org and save to storage
-		orgSelect.value = orgs[0].id;
-		await chrome.storage.local.set({ orgId: orgs[0].id });
+	document.querySelectorAll("[data-ui-mode]").forEach((select) => {
+		for (const [mode, label] of Object.entries(UI_MODES)) {
+			const opt = document.createElement("option");
+			opt.value = mode;
+			opt.textContent = label;
+			select.appendChild(opt);
+		}
+		select.addEventListener("change", async (e) => {
+			setState({ uiMode: e.target.value });
+			await chrome.storage.local.set({ uiMode: e.target.value });
+		});
+	});
+
+	const { uiMode } = await chrome.storage.local.get({ uiMode: "both" });
+	setState({ uiMode: UI_MODES[uiMode] ? uiMode : "both" });
+
+	subscribe(["uiMode"], renderUiMode);
+	subscribe(["session", "sessionMessage"], renderSession);
+	subscribe(["orgs", "orgId"], renderOrgPickers);
+	subscribe(["stages", "stageName"], renderStagePickers);
+	subscribe(["form"], renderFormInputs);
+	subscribe(["status"], renderStatus);
+}
+
+// ============ FORM DRAFTS ============
+// Form state per chat id, kept for the browser session. Fields the user edited
+// ("touched") are never auto-filled again; only untouched name and phone
+// follow what the chat header shows.
+const MAX_DRAFTS = 50;
+
+// Sidebar-only lead inputs saved with the draft, next to appState.form
+const DRAFT_INPUT_IDS = [
+	"ocrm-sidebar-company",
+	"ocrm-sidebar-potential",
+	"ocrm-sidebar-requirements",
+	"ocrm-sidebar-designation",
+	"ocrm-sidebar-website",
+	"ocrm-sidebar-gstin",
+	"ocrm-sidebar-address1",
+	"ocrm-sidebar-address2",
+	"ocrm-sidebar-city",
+	"ocrm-sidebar-country",
+];
+
+// chat id -> { form, inputs, touched }, oldest first
+const chatDrafts = new Map();
+let draftChatId = "";
+// Form field names and sidebar input ids the user edited in this chat
+let touchedFields = new Set();
+
+function markFieldsTouched(fields) {
+	fields.forEach((field) => touchedFields.add(field));
+}
+
+function saveDraft(chatId) {
+	if (!chatId) return;
+	chatDrafts.delete(chatId);
+	if (!touchedFields.size) return;
+
+	chatDrafts.set(chatId, {
+		form: { ...appState.form },
+		inputs: Object.fromEntries(
+			DRAFT_INPUT_IDS.map((id) => [id, readSidebarInput(id)]),
+		),
+		touched: new Set(touchedFields),
+	});
+	if (chatDrafts.size > MAX_DRAFTS) {
+		chatDrafts.delete(chatDrafts.keys().next().value);
 	}
+}
 
-	if (orgSelect.value) {
-		await loadStagesSidebar(baseUrl, orgSelect.value);
+// Forgets the edits once they have been turned into a lead
+function clearDraft(chatId) {
+	chatDrafts.delete(chatId);
+	if (chatId === draftChatId) {
+		touchedFields = new Set();
 	}
 }
 
-async function loadStagesSidebar(baseUrl, orgId) {
-	const result = await sendMessage({ type: "getStages", baseUrl, orgId });
-	const stageSelect = document.getElementById("ocrm-sidebar-stage");
-	if (!stageSelect) return;
+// Swaps in the draft of a newly opened chat, then auto-fills untouched fields
+function syncFormWithChat(chat, forceFill = false) {
+	if (chat.id !== draftChatId) {
+		saveDraft(draftChatId);
+		const draft = chatDrafts.get(chat.id);
+		draftChatId = chat.id;
+		touchedFields = new Set(draft?.touched);
+
+		clearFieldErrors();
+		DRAFT_INPUT_IDS.forEach((id) => {
+			const input = document.getElementById(id);
+			if (input) input.value = draft?.inputs[id] || "";
+		});
+		setState({
+			form: draft
+				? { ...draft.form }
+				: { name: "", phone: "", email: "", notes: "" },
+		});
+	}
 
-	stageSelect.innerHTML = "";
+	// A group title is not a person; participants are picked by hand
+	const detected = {};
+	for (const field of chat.isGroup ? [] : ["name", "phone"]) {
+		if (touchedFields.has(field) || !chat[field]) continue;
+		if (forceFill || !appState.form[field]) {
+			detected[field] = chat[field];
+		}
+	}
+	updateForm(detected);
+}
 
-	if (!result.ok) {
-		showToast(result.error || "Failed to load stages", "error");
-		return;
+function initDrafts() {
+	for (const [field, ids] of Object.entries(FORM_INPUTS)) {
+		ids.forEach((id) => {
+			document.getElementById(id)?.addEventListener("input", () => {
+				touchedFields.add(field);
+			});
+		});
 	}
+	DRAFT_INPUT_IDS.forEach((id) => {
+		document.getElementById(id)?.addEventListener("input", () => {
+			touchedFields.add(id);
+		});
+	});
+}
 
-	const stages = result.data || [];
-	for (const stage of stages) {
-		const opt = document.createElement("option");
-		opt.value = stage.stage;
-		opt.textContent = stage.stage;
-		stageSelect.appendChild(opt);
+// ============ CONNECTION PROFILES ============
+// A profile is a CRM instance (base URL) plus the organization and stage last
+// used with it. The active profile is mirrored into the flat baseUrl, orgId
+// and stageName keys that the rest of the extension reads.
+const PROFILE_KEYS = ["baseUrl", "orgId", "stageName"];
+
+// Lead form pickers that belong to the previous CRM; orgs and stages are
+// cleared through the store
+const PROFILE_SELECTS = [
+	"ocrm-sidebar-assigned",
+	"ocrm-sidebar-source",
+	"ocrm-sidebar-product",
+	"ocrm-sidebar-tags",
+];
+
+async function loadProfiles() {
+	const stored = await chrome.storage.local.get({
+		profiles: [],
+		activeProfileId: "",
+		baseUrl: DEFAULT_BASE_URL,
+		orgId: "",
+		stageName: "",
+	});
+
+	if (stored.profiles.length) {
+		const active =
+			stored.profiles.find((p) => p.id === stored.activeProfileId) ||
+			stored.profiles[0];
+		return { profiles: stored.profiles, active };
 	}
 
-	const stored = await chrome.storage.local.get({ stageName: "" });
-	if (stored.stageName && stages.some((s) => s.stage === stored.stageName)) {
-		stageSelect.value = stored.stageName;
-	} else if (stages.length > 0) {
-		// Auto-select first stage and save to storage
-		stageSelect.value = stages[0].stage;
-		await chrome.storage.local.set({ stageName: stages[0].stage });
+	// First run with profiles: wrap the single saved connection
+	const active = {
+		id: "default",
+		name: "Default",
+		baseUrl: stored.baseUrl || DEFAULT_BASE_URL,
+		orgId: stored.orgId,
+		stageName: stored.stageName,
+	};
+	await chrome.storage.local.set({
+		profiles: [active],
+		activeProfileId: active.id,
+	});
+	return { profiles: [active], active };
+}
+
+function getProfileLabel(profile) {
+	if (profile.name) return profile.name;
+	try {
+		return new URL(profile.baseUrl).host;
+	} catch (error) {
+		return profile.baseUrl;
 	}
 }
 
-function fillSidebarFields() {
-	const info = detectChatInfo();
+function parseProfileUrl(value) {
+	const baseUrl = (value || DEFAULT_BASE_URL).trim().replace(/\/$/, "");
+	try {
+		const url = new URL(baseUrl);
+		return ["https:", "http:"].includes(url.protocol) ? baseUrl : "";
+	} catch (error) {
+		return "";
+	}
+}
 
-	const nameInput = document.getElementById("ocrm-sidebar-name");
-	const phoneInput = document.getElementById("ocrm-sidebar-phone");
-	const detectedName = document.getElementById("ocrm-detected-name");
-	const detectedPhone = document.getElementById("ocrm-detected-phone");
+async function renderProfiles() {
+	const { profiles, active } = await loadProfiles();
+
+	const select = document.getElementById("ocrm-sidebar-profile");
+	if (select) {
+		select.innerHTML = "";
+		for (const profile of profiles) {
+			const opt = document.createElement("option");
+			opt.value = profile.id;
+			opt.textContent = getProfileLabel(profile);
+			opt.title = profile.baseUrl;
+			select.appendChild(opt);
+		}
+		select.value = active.id;
+	}
 
-	if (nameInput) nameInput.value = info.name || "";
-	if (phoneInput) phoneInput.value = info.phone || "";
-	if (detectedName) detectedName.textContent = info.name || "-";
-	if (detectedPhone) detectedPhone.textContent = info.phone || "-";
+	const nameInput = document.getElementById("ocrm-sidebar-profile-name");
+	const urlInput = document.getElementById("ocrm-sidebar-base-url");
+	const widgetUrlInput = document.getElementById("ocrm-base-url");
+	if (nameInput) nameInput.value = active.name;
+	if (urlInput) urlInput.value = active.baseUrl;
+	if (widgetUrlInput) widgetUrlInput.value = active.baseUrl;
+
+	const deleteBtn = document.getElementById("ocrm-sidebar-delete-profile");
+	if (deleteBtn) deleteBtn.disabled = profiles.length < 2;
 }
 
-function applySidebarPaste(text) {
-	const parsed = parseQuickPaste(text);
-	const nameInput = document.getElementById("ocrm-sidebar-name");
-	const phoneInput = document.getElementById("ocrm-sidebar-phone");
-	const emailInput = document.getElementById("ocrm-sidebar-email");
-	const notesInput = document.getElementById("ocrm-sidebar-notes");
+// Set while this tab switches profiles or changes the CRM URL, so only it
+// asks for CRM access
+let ownConnectionChange = false;
+
+async function switchProfile(profileId) {
+	const { profiles, active } = await loadProfiles();
+	const profile = profiles.find((p) => p.id === profileId);
+	if (!profile) return;
+
+	// initProfiles reloads every WhatsApp tab when activeProfileId changes
+	ownConnectionChange = profile.id !== active.id;
+	await chrome.storage.local.set({
+		activeProfileId: profile.id,
+		baseUrl: profile.baseUrl,
+		orgId: profile.orgId || "",
+		stageName: profile.stageName || "",
+	});
+}
 
-	if (nameInput && parsed.name) nameInput.value = parsed.name;
-	if (phoneInput && parsed.phone) phoneInput.value = parsed.phone;
-	if (emailInput && parsed.email) emailInput.value = parsed.email;
-	if (notesInput && parsed.notes) notesInput.value = parsed.notes;
+function readProfileForm() {
+	const name = readSidebarInput("ocrm-sidebar-profile-name");
+	const baseUrl = parseProfileUrl(readSidebarInput("ocrm-sidebar-base-url"));
+	if (!baseUrl) {
+		showToast("Enter a valid http(s) API base URL", "error");
+		return null;
+	}
+	return { name, baseUrl };
 }
 
-async function createLeadFromSidebar(baseUrl) {
-	// Get orgId from storage, fallback to dropdown value
-	const stored = await chrome.storage.local.get({ orgId: "" });
-	let orgId = stored.orgId;
+async function saveProfileFromSidebar() {
+	const form = readProfileForm();
+	if (!form) return;
+	await saveActiveProfile(form);
+}
 
-	if (!orgId) {
-		// Try to get from dropdown directly
-		const orgSelect = document.getElementById("ocrm-sidebar-orgs");
-		orgId = orgSelect?.value || "";
-		if (orgId) {
-			await chrome.storage.local.set({ orgId });
+// The widget only edits the URL; it goes through the same profile flow so
+// stale org/stage ids are dropped and CRM access is requested
+async function saveProfileFromWidget() {
+	const value = document.getElementById("ocrm-base-url")?.value.trim();
+	const baseUrl = parseProfileUrl(value || DEFAULT_BASE_URL);
+	if (!baseUrl) {
+		showToast("Enter a valid http(s) API base URL", "error");
+		return;
+	}
+	await saveActiveProfile({ baseUrl });
+}
+
+async function saveActiveProfile(form) {
+	const { profiles, active } = await loadProfiles();
+	const urlChanged = form.baseUrl !== active.baseUrl;
+	const updated = {
+		...active,
+		...form,
+		// Org and stage ids do not carry over to another CRM
+		...(urlChanged ? { orgId: "", stageName: "" } : {}),
+	};
+
+	// initProfiles reloads every WhatsApp tab when baseUrl changes
+	ownConnectionChange = urlChanged;
+	await chrome.storage.local.set({
+		profiles: profiles.map((p) => (p.id === active.id ? updated : p)),
+		baseUrl: updated.baseUrl,
+		orgId: updated.orgId,
+		stageName: updated.stageName,
+	});
+	showToast("Profile saved", "success");
+}
+
+async function addProfileFromSidebar() {
+	const form = readProfileForm();
+	if (!form) return;
+
+	const { profiles } = await loadProfiles();
+	const profile = {
+		id: `profile-${Date.now()}`,
+		name: form.name || getProfileLabel(form),
+		baseUrl: form.baseUrl,
+		orgId: "",
+		stageName: "",
+	};
+	await chrome.storage.local.set({ profiles: [...profiles, profile] });
+	await switchProfile(profile.id);
+	showToast(`Switched to ${profile.name}`, "success");
+}
+
+async function deleteActiveProfile() {
+	const { profiles, active } = await loadProfiles();
+	if (profiles.length < 2) return;
+	if (!confirm(`Delete the "${getProfileLabel(active)}" profile?`)) return;
+
+	const remaining = profiles.filter((p) => p.id !== active.id);
+	await chrome.storage.local.set({ profiles: remaining });
+	await switchProfile(remaining[0].id);
+}
+
+// Keeps the active profile in step with org/stage/URL changes made anywhere
+async function syncActiveProfile(changes) {
+	const { profiles, active } = await loadProfiles();
+	const updates = {};
+	for (const key of PROFILE_KEYS) {
+		if (changes[key] && changes[key].newValue !== active[key]) {
+			updates[key] = changes[key].newValue || "";
 		}
 	}
+	if (!Object.keys(updates).length) return;
 
-	if (!orgId) {
-		showToast("Select an organization first", "error");
-		return;
+	await chrome.storage.local.set({
+		profiles: profiles.map((p) =>
+			p.id === active.id ? { ...p, ...updates } : p,
+		),
+	});
+}
+
+async function ensureHostPermission(baseUrl) {
+	const result = await sendMessage({ type: "requestHostPermission", baseUrl });
+	if (!result.ok) {
+		showToast(result.error || "Could not check CRM access", "error");
+		return false;
 	}
+	if (!result.data.granted) {
+		showToast(
+			`Allow access to ${getCrmWebUrl(baseUrl)} in the window that opened`,
+			"warning",
+			6000,
+		);
+	}
+	return result.data.granted;
+}
 
-	const name = document.getElementById("ocrm-sidebar-name")?.value.trim() || "";
-	const phone = sanitizePhone(
-		document.getElementById("ocrm-sidebar-phone")?.value || "",
-	);
-	const email =
-		document.getElementById("ocrm-sidebar-email")?.value.trim() || "";
-	const notes = document.getElementById("ocrm-sidebar-notes")?.value || "";
-	const stage =
-		document.getElementById("ocrm-sidebar-stage")?.value || "RAW (UNQUALIFIED)";
+// Drops everything loaded from the previous CRM, then loads the new one.
+// Other tabs skip the permission prompt and reload once access is granted.
+async function reloadConnection(baseUrl, { requestPermission = true } = {}) {
+	leadLookupCache.clear();
+	linkedLeadKey = "";
+	setLinkedLead(null);
+	requiredLeadFields = [];
+	crmTemplates = [];
+	setState({ orgs: [], orgId: "", stages: [], stageName: "" });
+	PROFILE_SELECTS.forEach((id) => {
+		const select = document.getElementById(id);
+		if (select) select.innerHTML = "";
+	});
+	resetChatBadges();
+	await renderProfiles();
+	await renderTemplates();
 
-	if (!name && !phone) {
-		showToast("Provide at least a name or phone", "error");
+	if (requestPermission && !(await ensureHostPermission(baseUrl))) {
 		return;
 	}
 
-	const lead = {
-		assigned_to: null,
-		tags: [],
-		stage: stage,
-		source_id: null,
-		product_id: null,
-		potential: 0,
-		requirements: "",
-		notes: notes,
-		since: new Date().toISOString(),
-		business: {
-			business: name || phone,
-			name: name,
-			title: null,
-			designation: "",
-			mobile: phone,
-			email: email,
-			website: "",
-			address_line_1: "",
-			address_line_2: "",
-			city: "",
-			country: "",
-			gstin: "",
-			code: "",
-		},
-	};
+	await checkSession(baseUrl);
+	fillSidebarFields(true);
+}
 
-	const statusEl = document.getElementById("ocrm-sidebar-status");
-	if (statusEl) statusEl.textContent = "Creating lead...";
+async function initProfiles() {
+	await renderProfiles();
 
-	const result = await sendMessage({
-		type: "createLead",
-		baseUrl,
-		orgId,
-		lead,
+	chrome.storage.onChanged.addListener(async (changes, area) => {
+		if (area !== "local") return;
+
+		// Another profile or a new URL for this one: the org, stage and
+		// options loaded so far belong to the previous CRM
+		if (changes.activeProfileId || changes.baseUrl) {
+			const requestPermission = ownConnectionChange;
+			ownConnectionChange = false;
+			await reloadConnection(await loadBaseUrl(), { requestPermission });
+			return;
+		}
+		if (PROFILE_KEYS.some((key) => changes[key])) {
+			await syncActiveProfile(changes);
+		}
+		if (changes.profiles) {
+			await renderProfiles();
+		}
+	});
+
+	chrome.runtime.onMessage.addListener(async (message) => {
+		if (message.type !== "hostPermissionAdded") return;
+
+		const baseUrl = await loadBaseUrl();
+		const pattern = `${getCrmWebUrl(baseUrl)}/*`;
+		if (message.origins.includes(pattern)) {
+			await reloadConnection(baseUrl, { requestPermission: false });
+		}
 	});
+}
+
+// ============ DETECTION HEALTH ============
+function renderSelectorHealth() {
+	const banner = document.getElementById("ocrm-sidebar-selector-warning");
+	if (banner) {
+		const failing = checkSelectorHealth();
+		banner.hidden = !failing.length;
+		banner.textContent = failing.length
+			? `Cannot detect: ${failing.join(", ")}. WhatsApp may have changed its layout; see Settings > WhatsApp Detection.`
+			: "";
+	}
+
+	if (
+		document.getElementById("ocrm-pane-settings")?.classList.contains("active")
+	) {
+		renderDetectionStats();
+	}
+}
+
+function renderDetectionStats() {
+	const container = document.getElementById("ocrm-sidebar-detection-stats");
+	if (!container) return;
+
+	container.innerHTML = "";
+	const entries = Object.entries(detectorStats);
+	if (!entries.length) {
+		const empty = document.createElement("p");
+		empty.className = "ocrm-hint";
+		empty.textContent = "Open a chat to collect detection stats.";
+		container.appendChild(empty);
+		return;
+	}
+
+	for (const [detector, stats] of entries) {
+		const row = document.createElement("div");
+		row.className = "ocrm-detected-row";
+		row.classList.toggle("error", stats.streak > 0);
+		const labelEl = document.createElement("span");
+		labelEl.textContent = detector;
+		const valueEl = document.createElement("strong");
+		valueEl.textContent = `${stats.success} ok / ${stats.failure} failed`;
+		row.appendChild(labelEl);
+		row.appendChild(valueEl);
+		container.appendChild(row);
+	}
+}
+
+function renderSelectorOverrides() {
+	const input = document.getElementById("ocrm-sidebar-selector-overrides");
+	const version = document.getElementById("ocrm-sidebar-selector-version");
+	if (version) {
+		version.textContent = `Selector registry v${SELECTORS_VERSION}. Overrides are tried before the built-in selectors.`;
+	}
+	if (input) {
+		input.value = Object.keys(selectorOverrides).length
+			? JSON.stringify(selectorOverrides, null, 2)
+			: "";
+	}
+}
+
+async function saveSelectorOverrides() {
+	const input = document.getElementById("ocrm-sidebar-selector-overrides");
+	const text = input?.value.trim() || "";
+
+	let selectors = {};
+	if (text) {
+		try {
+			selectors = JSON.parse(text);
+		} catch (error) {
+			showToast("Overrides must be valid JSON", "error");
+			return;
+		}
+	}
+
+	const clean = sanitizeSelectorOverrides(selectors);
+	const dropped = Object.keys(selectors).filter(
+		(key) => clean[key]?.length !== selectors[key]?.length,
+	);
+
+	await chrome.storage.local.set({
+		selectorOverrides: { version: SELECTORS_VERSION, selectors: clean },
+	});
+
+	if (dropped.length) {
+		showToast(`Skipped invalid entries for: ${dropped.join(", ")}`, "warning");
+	} else {
+		showToast("Selector overrides saved", "success");
+	}
+}
+
+function initSelectorHealth() {
+	renderSelectorOverrides();
+	renderSelectorHealth();
+
+	chrome.storage.onChanged.addListener(async (changes, area) => {
+		if (area !== "local" || !changes.selectorOverrides) return;
+		await loadSelectorOverrides();
+		renderSelectorOverrides();
+		fillSidebarFields(true);
+	});
+}
+
+// ============ WHATSAPP LABELS ============
+// WhatsApp Business labels map to CRM tags per organization. A mapping may
+// also name a stage; with stage sync on, the chat's linked lead is moved
+// there. Stored as labelMappings: { [orgId]: [{ label, tagId, stage }] }.
+let labelMappings = [];
+let labelStageSync = false;
+// "<leadId>:<stage>" moves already made this session, so a lead moved back
+// by hand is not pushed again every time its chat is opened
+const appliedLabelStages = new Set();
+
+// Icons may carry one label each or a "Labels: A, B" summary
+function readLabelNames(root, key) {
+	const names = new Set();
+	for (const selector of getSelectors(key)) {
+		root.querySelectorAll(selector).forEach((el) => {
+			const text =
+				el.getAttribute("aria-label") ||
+				el.getAttribute("title") ||
+				el.closest("[title]")?.getAttribute("title") ||
+				"";
+			text
+				.replace(/^labels?:\s*/i, "")
+				.split(",")
+				.map((name) => name.trim())
+				.filter(Boolean)
+				.forEach((name) => names.add(name));
+		});
+		if (names.size) break;
+	}
+	return Array.from(names);
+}
+
+// The header shows labels in newer layouts; the selected chat row otherwise
+function detectChatLabels() {
+	if (!appState.chat.id) return [];
+	const labels = readLabelNames(document, "chatHeaderLabel");
+	const row = queryFirst("activeChat");
+	return labels.length || !row ? labels : readLabelNames(row, "chatRowLabel");
+}
+
+function findLabelMappings(labels) {
+	const wanted = new Set(labels.map((label) => label.toLowerCase()));
+	return labelMappings.filter((m) => wanted.has(m.label.toLowerCase()));
+}
+
+function applyLabelTags(lead, labels) {
+	const tags = findLabelMappings(labels)
+		.map((m) => m.tagId)
+		.filter(Boolean);
+	lead.tags = Array.from(new Set([...lead.tags, ...tags]));
+	return lead;
+}
+
+function syncStageFromLabels(lead) {
+	if (!labelStageSync) return;
+
+	const stage = findLabelMappings(detectChatLabels())
+		.map((m) => m.stage)
+		.find(Boolean);
+	const key = `${lead.id}:${stage}`;
+	if (!stage || stage === lead.stage || appliedLabelStages.has(key)) return;
+
+	appliedLabelStages.add(key);
+	syncStageSelect(stage);
+	updateLinkedLeadStage(stage);
+}
+
+async function loadLabelMappings(orgId) {
+	const stored = await chrome.storage.local.get({
+		labelMappings: {},
+		labelStageSync: false,
+	});
+	labelMappings = stored.labelMappings[orgId] || [];
+	labelStageSync = stored.labelStageSync;
+}
+
+// Keeps a saved value selectable before the org's options have loaded
+function selectOptionValue(select, value) {
+	if (!value) return;
+	if (!Array.from(select.options).some((opt) => opt.value === value)) {
+		const opt = document.createElement("option");
+		opt.value = value;
+		opt.textContent = value;
+		select.appendChild(opt);
+	}
+	select.value = value;
+}
+
+function createLabelRow(mapping = { label: "", tagId: "", stage: "" }) {
+	const row = document.createElement("tr");
+
+	const labelCell = document.createElement("td");
+	const labelInput = document.createElement("input");
+	labelInput.type = "text";
+	labelInput.className = "ocrm-label-name";
+	labelInput.placeholder = "New customer";
+	labelInput.value = mapping.label;
+	labelInput.setAttribute("list", "ocrm-sidebar-label-suggestions");
+	labelCell.appendChild(labelInput);
+	row.appendChild(labelCell);
+
+	// Tags come from the lead form's picker, already loaded for the org
+	const tagCell = document.createElement("td");
+	const tagSelect = document.createElement("select");
+	tagSelect.className = "ocrm-label-tag";
+	const tagOptions = Array.from(
+		document.getElementById("ocrm-sidebar-tags")?.options || [],
+	).map((opt) => ({ id: opt.value, name: opt.textContent }));
+	fillOptionSelect(tagSelect, tagOptions, "No tag");
+	selectOptionValue(tagSelect, mapping.tagId);
+	tagCell.appendChild(tagSelect);
+	row.appendChild(tagCell);
+
+	const stageCell = document.createElement("td");
+	const stageSelect = document.createElement("select");
+	stageSelect.className = "ocrm-label-stage";
+	fillOptionSelect(
+		stageSelect,
+		appState.stages.map((st) => ({ id: st.stage, name: st.stage })),
+		"No stage change",
+	);
+	selectOptionValue(stageSelect, mapping.stage);
+	stageCell.appendChild(stageSelect);
+	row.appendChild(stageCell);
+
+	const removeCell = document.createElement("td");
+	const removeBtn = document.createElement("button");
+	removeBtn.className = "ocrm-label-remove";
+	removeBtn.textContent = "×";
+	removeBtn.title = "Remove mapping";
+	removeBtn.addEventListener("click", () => row.remove());
+	removeCell.appendChild(removeBtn);
+	row.appendChild(removeCell);
+
+	return row;
+}
+
+function renderLabelMappings() {
+	const rows = document.getElementById("ocrm-sidebar-label-rows");
+	if (!rows) return;
+
+	rows.innerHTML = "";
+	labelMappings.forEach((mapping) => rows.appendChild(createLabelRow(mapping)));
+	if (!labelMappings.length) rows.appendChild(createLabelRow());
+
+	const stageSync = document.getElementById("ocrm-sidebar-label-stage-sync");
+	if (stageSync) stageSync.checked = labelStageSync;
+
+	// Suggest the labels visible in the chat list
+	const suggestions = document.getElementById("ocrm-sidebar-label-suggestions");
+	if (suggestions) {
+		const seen = new Set(detectChatLabels());
+		getChatListRows().forEach((row) => {
+			readLabelNames(row, "chatRowLabel").forEach((name) => seen.add(name));
+		});
+		suggestions.innerHTML = "";
+		seen.forEach((name) => {
+			const opt = document.createElement("option");
+			opt.value = name;
+			suggestions.appendChild(opt);
+		});
+	}
+}
+
+async function saveLabelMappings() {
+	const { orgId } = appState;
+	if (!orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	const mappings = Array.from(
+		document.querySelectorAll("#ocrm-sidebar-label-rows tr"),
+	)
+		.map((row) => ({
+			label: row.querySelector(".ocrm-label-name").value.trim(),
+			tagId: row.querySelector(".ocrm-label-tag").value,
+			stage: row.querySelector(".ocrm-label-stage").value,
+		}))
+		.filter((m) => m.label && (m.tagId || m.stage));
+
+	const stored = await chrome.storage.local.get({ labelMappings: {} });
+	await chrome.storage.local.set({
+		labelMappings: { ...stored.labelMappings, [orgId]: mappings },
+		labelStageSync: Boolean(
+			document.getElementById("ocrm-sidebar-label-stage-sync")?.checked,
+		),
+	});
+	showToast("Label mappings saved", "success");
+}
+
+function initLabelMappings() {
+	document
+		.getElementById("ocrm-sidebar-add-label")
+		?.addEventListener("click", () => {
+			document
+				.getElementById("ocrm-sidebar-label-rows")
+				?.appendChild(createLabelRow());
+		});
+	document
+		.getElementById("ocrm-sidebar-save-labels")
+		?.addEventListener("click", saveLabelMappings);
+
+	subscribe(["orgId"], async ({ orgId }) => {
+		await loadLabelMappings(orgId);
+		renderLabelMappings();
+	});
+
+	chrome.storage.onChanged.addListener(async (changes, area) => {
+		if (area !== "local") return;
+		if (!changes.labelMappings && !changes.labelStageSync) return;
+		await loadLabelMappings(appState.orgId);
+		renderLabelMappings();
+	});
+}
+
+// ============ ORGANIZATIONS AND STAGES ============
+// Shared by the sidebar and widget pickers; the choice is kept in storage so
+// it survives reloads and follows the active connection profile.
+async function loadOrgs(baseUrl) {
+	const result = await sendMessage({ type: "getOrgs", baseUrl });
+	if (!result.ok) {
+		setState({ orgs: [], orgId: "" });
+		showToast(result.error || "Failed to load orgs", "error");
+		return;
+	}
+
+	const orgs = result.data || [];
+	const stored = await chrome.storage.local.get({ orgId: "" });
+	// Fall back to the first org when the stored one is gone
+	const orgId = orgs.some((o) => o.id === stored.orgId)
+		? stored.orgId
+		: orgs[0]?.id || "";
+
+	setState({ orgs });
+	await selectOrg(baseUrl, orgId);
+	// Rows looked up while signed out or without an org get their badges now
+	resetChatBadges();
+}
+
+async function selectOrg(baseUrl, orgId) {
+	setState({ orgId });
+	await chrome.storage.local.set({ orgId });
+	if (!orgId) return;
+
+	await loadStages(baseUrl, orgId);
+	await loadLeadOptionsSidebar(baseUrl, orgId);
+	await loadTemplatesSidebar(baseUrl, orgId);
+}
+
+// Org picked by the user in either UI
+async function changeOrg(orgId) {
+	const baseUrl = await loadBaseUrl();
+	await selectOrg(baseUrl, orgId);
+	fillSidebarFields();
+	resetChatBadges();
+}
+
+async function loadStages(baseUrl, orgId) {
+	const result = await sendMessage({ type: "getStages", baseUrl, orgId });
+	if (!result.ok) {
+		setState({ stages: [] });
+		showToast(result.error || "Failed to load stages", "error");
+		return;
+	}
+
+	const stages = result.data || [];
+	const stored = await chrome.storage.local.get({ stageName: "" });
+	const stageName = stages.some((st) => st.stage === stored.stageName)
+		? stored.stageName
+		: stages[0]?.stage || "";
+
+	setState({ stages, stageName });
+	await chrome.storage.local.set({ stageName });
+}
+
+async function selectStage(stageName) {
+	setState({ stageName });
+	await chrome.storage.local.set({ stageName });
+}
+
+// Required field keys for the selected org, e.g. "source_id" or "business.city"
+let requiredLeadFields = [];
+
+const LEAD_FIELD_LABELS = {
+	name: "Name",
+	mobile: "Phone",
+	email: "Email",
+	business: "Company",
+	stage: "Stage",
+	assigned_to: "Assigned To",
+	source_id: "Source",
+	product_id: "Product",
+	tags: "Tags",
+	potential: "Potential",
+	requirements: "Requirements",
+	notes: "Notes",
+	designation: "Designation",
+	website: "Website",
+	gstin: "GSTIN",
+	address_line_1: "Address Line 1",
+	address_line_2: "Address Line 2",
+	city: "City",
+	country: "Country",
+};
+
+function fillOptionSelect(select, items, placeholder) {
+	select.innerHTML = "";
+
+	if (placeholder) {
+		const empty = document.createElement("option");
+		empty.value = "";
+		empty.textContent = placeholder;
+		select.appendChild(empty);
+	}
+
+	for (const item of items) {
+		const opt = document.createElement("option");
+		opt.value = item.id;
+		opt.textContent = item.name || item.email || item.id;
+		select.appendChild(opt);
+	}
+}
+
+async function loadLeadOptionsSidebar(baseUrl, orgId) {
+	const pickers = [
+		["getUsers", "ocrm-sidebar-assigned", "Unassigned"],
+		["getSources", "ocrm-sidebar-source", "No source"],
+		["getProducts", "ocrm-sidebar-product", "No product"],
+		["getTags", "ocrm-sidebar-tags", ""],
+	];
+
+	const [requiredResult, ...results] = await Promise.all([
+		sendMessage({ type: "getRequiredFields", baseUrl, orgId }),
+		...pickers.map(([type]) => sendMessage({ type, baseUrl, orgId })),
+	]);
+
+	requiredLeadFields = requiredResult.ok ? requiredResult.data || [] : [];
+
+	pickers.forEach(([type, id, placeholder], index) => {
+		const select = document.getElementById(id);
+		if (!select) return;
+		const result = results[index];
+		if (!result.ok) {
+			console.warn(`[OceanCRM] ${type} failed:`, result.error);
+		}
+		fillOptionSelect(select, result.ok ? result.data || [] : [], placeholder);
+	});
+}
+
+function getLeadFieldValue(lead, key) {
+	if (key.startsWith("business.")) {
+		return lead.business[key.slice("business.".length)];
+	}
+	return key in lead ? lead[key] : lead.business[key];
+}
+
+function getLeadFieldLabel(key) {
+	return LEAD_FIELD_LABELS[key.replace(/^business\./, "")] || key;
+}
+
+// Returns the keys of org-required fields that are still empty
+function findMissingRequiredFields(lead) {
+	return requiredLeadFields.filter((key) => {
+		const value = getLeadFieldValue(lead, key);
+		return (
+			value == null ||
+			value === "" ||
+			(Array.isArray(value) && value.length === 0)
+		);
+	});
+}
+
+// Only the sidebar form can highlight fields; one-click flows get a toast
+function checkRequiredFields(lead, { highlight = false } = {}) {
+	const missing = findMissingRequiredFields(lead);
+	if (!missing.length) {
+		return true;
+	}
+	if (
+		highlight &&
+		showFieldErrors(Object.fromEntries(missing.map((key) => [key, "Required"])))
+	) {
+		setStatus("Fill in the highlighted fields", true);
+		return false;
+	}
+	showToast(
+		`Required: ${missing.map(getLeadFieldLabel).join(", ")}`,
+		"error",
+		5000,
+	);
+	activateSidebarTab("lead-info");
+	return false;
+}
+
+// ============ FIELD ERRORS ============
+// CRM field keys (validation errors, required fields) -> sidebar inputs
+const LEAD_FIELD_INPUTS = {
+	name: "ocrm-sidebar-name",
+	mobile: "ocrm-sidebar-phone",
+	email: "ocrm-sidebar-email",
+	business: "ocrm-sidebar-company",
+	stage: "ocrm-sidebar-stage",
+	assigned_to: "ocrm-sidebar-assigned",
+	source_id: "ocrm-sidebar-source",
+	product_id: "ocrm-sidebar-product",
+	tags: "ocrm-sidebar-tags",
+	potential: "ocrm-sidebar-potential",
+	requirements: "ocrm-sidebar-requirements",
+	notes: "ocrm-sidebar-notes",
+	designation: "ocrm-sidebar-designation",
+	website: "ocrm-sidebar-website",
+	gstin: "ocrm-sidebar-gstin",
+	address_line_1: "ocrm-sidebar-address1",
+	address_line_2: "ocrm-sidebar-address2",
+	city: "ocrm-sidebar-city",
+	country: "ocrm-sidebar-country",
+};
+
+function clearFieldErrors() {
+	document
+		.querySelectorAll("#ocrm-sidebar .ocrm-field-invalid")
+		.forEach((field) => field.classList.remove("ocrm-field-invalid"));
+	document
+		.querySelectorAll("#ocrm-sidebar .ocrm-field-error")
+		.forEach((el) => el.remove());
+	setSidebarRevealed(false);
+}
+
+// Marks each field under its input; returns how many could be shown.
+// Keys may be dotted paths such as "business.mobile".
+function showFieldErrors(fields = {}) {
+	clearFieldErrors();
+
+	let firstInput = null;
+	let shown = 0;
+	for (const [key, message] of Object.entries(fields)) {
+		const input = document.getElementById(
+			LEAD_FIELD_INPUTS[key.split(".").pop()],
+		);
+		const field = input?.closest(".ocrm-field");
+		if (!field) continue;
+
+		field.classList.add("ocrm-field-invalid");
+		const errorEl = document.createElement("div");
+		errorEl.className = "ocrm-field-error";
+		errorEl.textContent = message;
+		field.appendChild(errorEl);
+
+		const clear = () => {
+			field.classList.remove("ocrm-field-invalid");
+			errorEl.remove();
+		};
+		input.addEventListener("input", clear, { once: true });
+		input.addEventListener("change", clear, { once: true });
+
+		firstInput = firstInput || input;
+		shown += 1;
+	}
+
+	if (firstInput) {
+		setSidebarRevealed(true);
+		activateSidebarTab("lead-info");
+		firstInput.focus();
+	}
+	return shown;
+}
+
+// Reacts to a failed background response according to its error code
+function handleLeadError(result, { highlight = false } = {}) {
+	const message = result.error || "Lead creation failed";
+
+	if (result.code === "auth") {
+		setSessionState(false);
+		showToast(message, "error");
+		return;
+	}
+
+	if (result.queued) {
+		showToast(message, "warning");
+		return;
+	}
+
+	const fields = result.fields || {};
+	if (highlight && result.code === "validation" && showFieldErrors(fields)) {
+		return;
+	}
+
+	const fieldText = Object.entries(fields)
+		.map(([key, text]) => `${getLeadFieldLabel(key.split(".").pop())}: ${text}`)
+		.join("; ");
+	const suffix = result.retryable ? " Try again in a moment." : "";
+	showToast(`${fieldText || message}${suffix}`, "error", 5000);
+}
+
+function fillSidebarFields(forceLookup = false) {
+	const info = appState.chat;
+	syncFormWithChat(info, forceLookup);
+
+	const detectedName = document.getElementById("ocrm-detected-name");
+	const detectedPhone = document.getElementById("ocrm-detected-phone");
+	if (detectedName) detectedName.textContent = info.name || "-";
+	if (detectedPhone) detectedPhone.textContent = info.phone || "-";
+	const detectedLabels = document.getElementById("ocrm-detected-labels");
+	if (detectedLabels) {
+		detectedLabels.textContent = detectChatLabels().join(", ") || "-";
+	}
+	renderSharedContacts();
+	renderGroupParticipants();
+	if (info.phone !== followUpPhone) {
+		followUpPhone = info.phone;
+		renderFollowUps();
+	}
+	renderSelectorHealth();
+
+	refreshLinkedLead(info.phone, forceLookup);
+}
+
+function updatePhoneHint() {
+	const phoneInput = document.getElementById("ocrm-sidebar-phone");
+	const hint = document.getElementById("ocrm-sidebar-phone-hint");
+	if (!phoneInput || !hint) return;
+
+	const check = normalizePhone(phoneInput.value);
+	hint.classList.toggle(
+		"error",
+		Boolean(phoneInput.value.trim()) && !check.valid,
+	);
+	if (!phoneInput.value.trim()) {
+		hint.textContent = "";
+	} else if (!check.valid) {
+		hint.textContent = check.reason;
+	} else if (check.ambiguous) {
+		hint.textContent = `Ambiguous: ${check.candidates.join(" or ")}. Add a country code to be sure.`;
+	} else {
+		hint.textContent = check.e164;
+	}
+}
+
+// Parsed field -> [preview label, sidebar input id]
+const PASTE_FIELD_INPUTS = {
+	name: ["Name", "ocrm-sidebar-name"],
+	phone: ["Phone", "ocrm-sidebar-phone"],
+	email: ["Email", "ocrm-sidebar-email"],
+	company: ["Company", "ocrm-sidebar-company"],
+	designation: ["Designation", "ocrm-sidebar-designation"],
+	website: ["Website", "ocrm-sidebar-website"],
+	gstin: ["GSTIN", "ocrm-sidebar-gstin"],
+	address: ["Address", "ocrm-sidebar-address1"],
+	city: ["City", "ocrm-sidebar-city"],
+	requirements: ["Requirements", "ocrm-sidebar-requirements"],
+};
+
+function createPreviewRow(field, label, value, confidence) {
+	const row = document.createElement("label");
+	row.className = "ocrm-paste-row";
+
+	const checkbox = document.createElement("input");
+	checkbox.type = "checkbox";
+	checkbox.dataset.field = field;
+	// Low-confidence guesses are shown but must be opted into
+	checkbox.checked = confidence !== "low";
+	row.appendChild(checkbox);
+
+	const name = document.createElement("span");
+	name.className = "ocrm-paste-label";
+	name.textContent = label;
+	row.appendChild(name);
+
+	const input = document.createElement("input");
+	input.type = "text";
+	input.value = value;
+	input.dataset.field = field;
+	row.appendChild(input);
+
+	const badge = document.createElement("span");
+	badge.className = `ocrm-confidence ${confidence}`;
+	badge.textContent = confidence;
+	row.appendChild(badge);
+
+	return row;
+}
+
+// Both UIs share the preview: where the text is typed, where the preview is
+// shown and what happens once the fields are applied
+const PASTE_PREVIEWS = {
+	sidebar: {
+		input: "ocrm-sidebar-paste",
+		preview: "ocrm-sidebar-paste-preview",
+		onApplied: () => activateSidebarTab("lead-info"),
+	},
+	widget: {
+		input: "ocrm-paste-input",
+		preview: "ocrm-paste-preview",
+		onApplied: () => closePasteModal(),
+	},
+};
+
+function renderPastePreview(parsed, source = "sidebar") {
+	const preview = document.getElementById(PASTE_PREVIEWS[source].preview);
+	if (!preview) return;
+
+	preview.innerHTML = "";
+
+	for (const [field, [label]] of Object.entries(PASTE_FIELD_INPUTS)) {
+		if (parsed[field]) {
+			preview.appendChild(
+				createPreviewRow(field, label, parsed[field], parsed.confidence[field]),
+			);
+		}
+	}
+
+	const otherPhones = parsed.phones.filter((phone) => phone !== parsed.phone);
+	if (otherPhones.length) {
+		preview.appendChild(
+			createPreviewRow(
+				"otherPhones",
+				"Other Phones",
+				otherPhones.join(", "),
+				"medium",
+			),
+		);
+	}
+
+	if (parsed.notes) {
+		preview.appendChild(
+			createPreviewRow("notes", "Notes", parsed.notes, "high"),
+		);
+	}
+
+	const actions = document.createElement("div");
+	actions.className = "ocrm-duplicate-actions";
+
+	const applyBtn = document.createElement("button");
+	applyBtn.className = "ocrm-btn-primary";
+	applyBtn.textContent = "Apply selected";
+	applyBtn.addEventListener("click", () => applyPastePreview(source));
+	actions.appendChild(applyBtn);
+
+	const discardBtn = document.createElement("button");
+	discardBtn.className = "ocrm-btn-secondary";
+	discardBtn.textContent = "Discard";
+	discardBtn.addEventListener("click", () => closePastePreview(source));
+	actions.appendChild(discardBtn);
+
+	preview.appendChild(actions);
+	preview.hidden = false;
+}
+
+function closePastePreview(source = "sidebar") {
+	const preview = document.getElementById(PASTE_PREVIEWS[source].preview);
+	if (preview) {
+		preview.innerHTML = "";
+		preview.hidden = true;
+	}
+}
+
+function applyPastePreview(source = "sidebar") {
+	const preview = document.getElementById(PASTE_PREVIEWS[source].preview);
+	if (!preview) return;
+
+	const values = {};
+	preview.querySelectorAll(".ocrm-paste-row").forEach((row) => {
+		const checkbox = row.querySelector("input[type='checkbox']");
+		const input = row.querySelector("input[type='text']");
+		if (checkbox.checked && input.value.trim()) {
+			values[checkbox.dataset.field] = input.value.trim();
+		}
+	});
+
+	// Shared contact fields go through the store; the rest are sidebar-only
+	const formUpdates = {};
+	for (const [field, [, inputId]] of Object.entries(PASTE_FIELD_INPUTS)) {
+		if (!values[field]) continue;
+		if (field in FORM_INPUTS) {
+			formUpdates[field] = values[field];
+			continue;
+		}
+		const input = document.getElementById(inputId);
+		if (input) input.value = values[field];
+		touchedFields.add(inputId);
+	}
+
+	const notes = [
+		values.notes,
+		values.otherPhones && `Other phones: ${values.otherPhones}`,
+	]
+		.filter(Boolean)
+		.join("\n\n");
+	if (notes) formUpdates.notes = notes;
+	updateForm(formUpdates);
+	markFieldsTouched(Object.keys(formUpdates));
+
+	const pasteInput = document.getElementById(PASTE_PREVIEWS[source].input);
+	if (pasteInput) pasteInput.value = "";
+
+	closePastePreview(source);
+	PASTE_PREVIEWS[source].onApplied();
+	showToast("Lead info applied", "success");
+}
+
+function buildLeadPayload({
+	name = "",
+	phone = "",
+	email = "",
+	company = "",
+	stage = "RAW (UNQUALIFIED)",
+	notes = "",
+	requirements = "",
+	assignedTo = null,
+	tags = [],
+	sourceId = null,
+	productId = null,
+	potential = 0,
+	business = {},
+}) {
+	const mobile = toE164(phone);
+	return {
+		assigned_to: assignedTo,
+		tags: tags,
+		stage: stage,
+		source_id: sourceId,
+		product_id: productId,
+		potential: potential,
+		requirements: requirements,
+		notes: notes,
+		since: new Date().toISOString(),
+		business: {
+			business: company || name || mobile,
+			name: name,
+			title: null,
+			designation: "",
+			mobile: mobile,
+			email: email,
+			website: "",
+			address_line_1: "",
+			address_line_2: "",
+			city: "",
+			country: "",
+			gstin: "",
+			code: "",
+			...business,
+		},
+	};
+}
+
+function readSidebarInput(id) {
+	return document.getElementById(id)?.value.trim() || "";
+}
+
+function readSidebarLeadDetails() {
+	const tagsSelect = document.getElementById("ocrm-sidebar-tags");
+	const potential = parseFloat(readSidebarInput("ocrm-sidebar-potential"));
+
+	return {
+		assignedTo: readSidebarInput("ocrm-sidebar-assigned") || null,
+		sourceId: readSidebarInput("ocrm-sidebar-source") || null,
+		productId: readSidebarInput("ocrm-sidebar-product") || null,
+		tags: tagsSelect
+			? Array.from(tagsSelect.selectedOptions).map((opt) => opt.value)
+			: [],
+		potential: Number.isNaN(potential) ? 0 : potential,
+		requirements: readSidebarInput("ocrm-sidebar-requirements"),
+		business: {
+			designation: readSidebarInput("ocrm-sidebar-designation"),
+			website: readSidebarInput("ocrm-sidebar-website"),
+			gstin: readSidebarInput("ocrm-sidebar-gstin").toUpperCase(),
+			address_line_1: readSidebarInput("ocrm-sidebar-address1"),
+			address_line_2: readSidebarInput("ocrm-sidebar-address2"),
+			city: readSidebarInput("ocrm-sidebar-city"),
+			country: readSidebarInput("ocrm-sidebar-country"),
+		},
+	};
+}
+
+// Create path for both the sidebar and the widget; contact fields, org and
+// stage come from the shared store
+async function createLeadFromForm(baseUrl) {
+	const { orgId, stageName, form } = appState;
+	if (!orgId) {
+		showToast("Select an organization first", "error");
+		return;
+	}
+
+	const name = form.name.trim();
+	const phoneCheck = normalizePhone(form.phone);
+	if (form.phone.trim() && !phoneCheck.valid) {
+		showToast(phoneCheck.reason, "error");
+		return;
+	}
+	const phone = phoneCheck.e164;
+	const email = form.email.trim();
+	const company = readSidebarInput("ocrm-sidebar-company");
+	const notes = form.notes;
+	const stage = stageName || "RAW (UNQUALIFIED)";
+
+	if (!name && !phone) {
+		showToast("Provide at least a name or phone", "error");
+		return;
+	}
+
+	const lead = buildLeadPayload({
+		name,
+		phone,
+		email,
+		company,
+		stage,
+		notes,
+		...readSidebarLeadDetails(),
+	});
+	applyGroupSource(lead);
+	applyLabelTags(lead, detectChatLabels());
+
+	clearFieldErrors();
+	if (!checkRequiredFields(lead, { highlight: true })) {
+		return;
+	}
+
+	setStatus("Checking for duplicates...");
+
+	const proceed = await resolveDuplicates(baseUrl, orgId, lead);
+	if (!proceed) {
+		setStatus("");
+		return;
+	}
+
+	setStatus("Creating lead...");
+
+	const result = await sendMessage({
+		type: "createLead",
+		baseUrl,
+		orgId,
+		lead,
+	});
+
+	if (!result.ok) {
+		setStatus(result.error || "Failed", true);
+		handleLeadError(result, { highlight: true });
+		return;
+	}
+
+	setStatus("Lead created ✓");
+	clearDraft(appState.chat.id);
+	showLeadCreatedToast(baseUrl, result.leadId, "Lead created successfully!");
+	refreshLinkedLead(phone, true);
+}
+
+async function createLeadFromChatSidebar(baseUrl) {
+	const info = appState.chat;
+	const { orgId } = appState;
+	const stageName = appState.stageName || "RAW (UNQUALIFIED)";
+
+	if (!orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	if (info.isGroup) {
+		activateSidebarTab("quick-replies");
+		showToast("Pick a participant under Group Participants", "warning");
+		return;
+	}
+
+	const name = (info.name || "").trim();
+	const phone = toE164(info.phone || "");
+
+	if (!name && !phone) {
+		showToast("No contact details detected", "error");
+		return;
+	}
+
+	const lead = buildLeadPayload({
+		name,
+		phone,
+		stage: stageName,
+		notes: detectChatPreview() || "",
+	});
+	applyLabelTags(lead, detectChatLabels());
+
+	await submitLead(baseUrl, orgId, lead, "Lead created from chat!");
+}
+
+// Shared create path for the one-click flows (chat, message, contact card)
+async function submitLead(baseUrl, orgId, lead, successMessage) {
+	if (!checkRequiredFields(lead)) {
+		return false;
+	}
+
+	const proceed = await resolveDuplicates(baseUrl, orgId, lead);
+	if (!proceed) {
+		return false;
+	}
+
+	const result = await sendMessage({
+		type: "createLead",
+		baseUrl,
+		orgId,
+		lead,
+	});
+
+	if (!result.ok) {
+		handleLeadError(result);
+		return false;
+	}
+
+	showLeadCreatedToast(baseUrl, result.leadId, successMessage);
+	chatLeadCache.delete(lead.business.mobile);
+	fillSidebarFields(true);
+	return true;
+}
+
+// ============ DUPLICATE DETECTION ============
+let pendingDuplicateChoice = null;
+
+function getCrmWebUrl(baseUrl) {
+	return new URL(baseUrl).origin;
+}
+
+function getLeadUrl(baseUrl, leadId) {
+	return `${getCrmWebUrl(baseUrl)}/leads/${leadId}`;
+}
+
+function showLeadCreatedToast(baseUrl, leadId, message) {
+	if (!leadId) {
+		showToast(message, "success");
+		return;
+	}
+	showToast(message, "success", 6000, {
+		label: "Open in CRM",
+		href: getLeadUrl(baseUrl, leadId),
+	});
+}
+
+function getLeadDisplayName(lead) {
+	const business = lead.business || {};
+	return business.name || business.business || lead.name || "Unnamed lead";
+}
+
+async function findDuplicateLeads(baseUrl, orgId, business) {
+	if (!business.mobile && !business.email) {
+		return [];
+	}
+
+	const result = await sendMessage({
+		type: "searchLeads",
+		baseUrl,
+		orgId,
+		mobile: business.mobile,
+		email: business.email,
+	});
+
+	if (!result.ok) {
+		// A failed lookup should not block lead creation
+		console.warn("[OceanCRM] Duplicate check failed:", result.error);
+		return [];
+	}
+
+	return result.data || [];
+}
+
+function createDuplicateCard(lead, onChoice) {
+	const business = lead.business || {};
+	const card = document.createElement("div");
+	card.className = "ocrm-duplicate-card";
+
+	const title = document.createElement("strong");
+	title.textContent = getLeadDisplayName(lead);
+	card.appendChild(title);
+
+	const meta = document.createElement("div");
+	meta.className = "ocrm-duplicate-meta";
+	meta.textContent = [business.mobile, business.email, lead.stage]
+		.filter(Boolean)
+		.join(" · ");
+	card.appendChild(meta);
+
+	const actions = document.createElement("div");
+	actions.className = "ocrm-duplicate-actions";
+
+	const openBtn = document.createElement("button");
+	openBtn.className = "ocrm-btn-secondary";
+	openBtn.textContent = "Open existing";
+	openBtn.addEventListener("click", () => onChoice({ action: "open", lead }));
+	actions.appendChild(openBtn);
+
+	const updateBtn = document.createElement("button");
+	updateBtn.className = "ocrm-btn-secondary";
+	updateBtn.textContent = "Update existing";
+	updateBtn.addEventListener("click", () =>
+		onChoice({ action: "update", lead }),
+	);
+	actions.appendChild(updateBtn);
+
+	card.appendChild(actions);
+	return card;
+}
+
+// Shows matching leads in the Lead Info tab and resolves with the user's choice
+function promptDuplicateChoice(leads) {
+	// Only one prompt can be open at a time; dismiss the previous one
+	if (pendingDuplicateChoice) {
+		pendingDuplicateChoice({ action: "cancel" });
+	}
+
+	return new Promise((resolve) => {
+		const container = document.getElementById("ocrm-sidebar-duplicates");
+		if (!container) {
+			resolve({ action: "create" });
+			return;
+		}
+
+		const finish = (choice) => {
+			pendingDuplicateChoice = null;
+			container.innerHTML = "";
+			container.hidden = true;
+			setSidebarRevealed(false);
+			resolve(choice);
+		};
+		pendingDuplicateChoice = finish;
+
+		container.innerHTML = "";
+
+		const heading = document.createElement("div");
+		heading.className = "ocrm-duplicates-heading";
+		heading.textContent =
+			leads.length === 1
+				? "A lead with this contact already exists"
+				: `${leads.length} leads with this contact already exist`;
+		container.appendChild(heading);
+
+		for (const lead of leads) {
+			container.appendChild(createDuplicateCard(lead, finish));
+		}
+
+		const footer = document.createElement("div");
+		footer.className = "ocrm-duplicate-actions";
+
+		const createBtn = document.createElement("button");
+		createBtn.className = "ocrm-btn-primary";
+		createBtn.textContent = "Create anyway";
+		createBtn.addEventListener("click", () => finish({ action: "create" }));
+		footer.appendChild(createBtn);
+
+		const cancelBtn = document.createElement("button");
+		cancelBtn.className = "ocrm-btn-secondary";
+		cancelBtn.textContent = "Cancel";
+		cancelBtn.addEventListener("click", () => finish({ action: "cancel" }));
+		footer.appendChild(cancelBtn);
+
+		container.appendChild(footer);
+		container.hidden = false;
+		setSidebarRevealed(true);
+		activateSidebarTab("lead-info");
+		container.scrollIntoView({ block: "nearest" });
+	});
+}
+
+// Only send fields that have a value so existing CRM data is not blanked out.
+// The stage is left alone: the form's stage is the default for new leads and
+// would move an advanced lead back.
+function pickLeadUpdates(lead) {
+	const business = {};
+	for (const [key, value] of Object.entries(lead.business || {})) {
+		if (value) {
+			business[key] = value;
+		}
+	}
+	// buildLeadPayload falls back to the contact's name or number when no
+	// company was entered; that guess must not replace the CRM's company
+	if (
+		business.business === business.name ||
+		business.business === business.mobile
+	) {
+		delete business.business;
+	}
+
+	const updates = { business };
+	if (lead.notes) {
+		updates.notes = lead.notes;
+	}
+	return updates;
+}
+
+async function updateExistingLead(baseUrl, orgId, existing, lead) {
+	const result = await sendMessage({
+		type: "updateLead",
+		baseUrl,
+		orgId,
+		leadId: existing.id,
+		lead: pickLeadUpdates(lead),
+	});
+
+	if (!result.ok) {
+		showToast(result.error || "Lead update failed", "error");
+		return false;
+	}
+
+	showToast("Existing lead updated!", "success");
+	return true;
+}
+
+// Returns true when a new lead should still be created
+async function resolveDuplicates(baseUrl, orgId, lead) {
+	const duplicates = await findDuplicateLeads(baseUrl, orgId, lead.business);
+	if (!duplicates.length) {
+		return true;
+	}
+
+	const choice = await promptDuplicateChoice(duplicates);
+
+	if (choice.action === "open") {
+		window.open(getLeadUrl(baseUrl, choice.lead.id), "_blank");
+		return false;
+	}
+
+	if (choice.action === "update") {
+		await updateExistingLead(baseUrl, orgId, choice.lead, lead);
+		return false;
+	}
+
+	return choice.action === "create";
+}
+
+// ============ LINKED LEAD LOOKUP ============
+const LEAD_CACHE_TTL = 60000;
+const MAX_CARD_NOTES = 3;
+
+// Lookups keyed by "orgId:phone" so observer ticks reuse the same request
+const leadLookupCache = new Map();
+let linkedLead = null;
+let linkedLeadKey = "";
+
+function lookupLeadCached(baseUrl, orgId, phone, force = false) {
+	const key = `${orgId}:${phone}`;
+	const cached = leadLookupCache.get(key);
+	if (!force && cached && Date.now() - cached.fetchedAt < LEAD_CACHE_TTL) {
+		return cached.promise;
+	}
+
+	const promise = sendMessage({
+		type: "lookupLead",
+		baseUrl,
+		orgId,
+		mobile: phone,
+	}).then((result) => {
+		if (!result.ok) {
+			leadLookupCache.delete(key);
+			throw new Error(result.error || "Lead lookup failed");
+		}
+		return result.data || null;
+	});
+
+	leadLookupCache.set(key, { promise, fetchedAt: Date.now() });
+	return promise;
+}
+
+async function refreshLinkedLead(phone, force = false) {
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	const key = orgId && phone ? `${orgId}:${phone}` : "";
+	if (!force && key === linkedLeadKey) {
+		return;
+	}
+
+	const keyChanged = key !== linkedLeadKey;
+	linkedLeadKey = key;
+	if (!key) {
+		setLinkedLead(null);
+		return;
+	}
+
+	// The previous chat's lead must not receive logs or stage changes while
+	// this chat's lead is looked up
+	if (keyChanged) linkedLead = null;
+	setLeadInfoMode("loading");
+	try {
+		const baseUrl = await loadBaseUrl();
+		const lead = await lookupLeadCached(baseUrl, orgId, phone, force);
+		// The user may have switched chats while the lookup was running
+		if (linkedLeadKey !== key) return;
+		setLinkedLead(lead);
+	} catch (error) {
+		if (linkedLeadKey !== key) return;
+		console.warn("[OceanCRM] Lead lookup failed:", error);
+		setLinkedLead(null);
+	}
+}
+
+function setLinkedLead(lead) {
+	linkedLead = lead;
+	if (lead) {
+		renderLeadCard(lead);
+		syncStageSelect(lead.stage);
+		setLeadInfoMode("linked");
+		syncStageFromLabels(lead);
+	} else {
+		restoreDefaultStage();
+		setLeadInfoMode("create");
+	}
+}
+
+function syncStageSelect(stage) {
+	const stageSelect = document.getElementById("ocrm-sidebar-stage");
+	if (!stageSelect || !stage) return;
+
+	// The lead may sit in a stage that is not in the loaded list
+	if (!Array.from(stageSelect.options).some((opt) => opt.value === stage)) {
+		const opt = document.createElement("option");
+		opt.value = stage;
+		opt.textContent = stage;
+		stageSelect.appendChild(opt);
+	}
+	stageSelect.value = stage;
+}
+
+function restoreDefaultStage() {
+	const stageSelect = document.getElementById("ocrm-sidebar-stage");
+	if (!stageSelect || !appState.stageName || linkedLead) return;
+	stageSelect.value = appState.stageName;
+}
+
+async function updateLinkedLeadStage(stage) {
+	const lead = linkedLead;
+	const previousStage = lead.stage;
+	if (stage === previousStage) return;
+
+	// Optimistic update; rolled back below if the CRM rejects it
+	lead.stage = stage;
+	renderLeadCard(lead);
+
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	const baseUrl = await loadBaseUrl();
+	const result = await sendMessage({
+		type: "updateLead",
+		baseUrl,
+		orgId,
+		leadId: lead.id,
+		lead: { stage },
+	});
+
+	if (!result.ok) {
+		lead.stage = previousStage;
+		if (linkedLead === lead) {
+			renderLeadCard(lead);
+			syncStageSelect(previousStage);
+		}
+		showToast(result.error || "Stage update failed", "error");
+		return;
+	}
+
+	showToast(`Stage changed to ${stage}`, "success");
+}
+
+function setLeadInfoMode(mode) {
+	const pane = document.getElementById("ocrm-pane-lead-info");
+	if (pane) pane.dataset.mode = mode;
+
+	if (mode === "loading") {
+		const card = document.getElementById("ocrm-sidebar-lead-card");
+		if (card) card.textContent = "Looking up lead...";
+	}
+}
+
+function formatLeadDate(value) {
+	if (!value) return "-";
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? "-" : date.toLocaleDateString();
+}
+
+function formatAssignee(lead) {
+	const assignee = lead.assigned_user || lead.assigned_to;
+	if (!assignee) return "Unassigned";
+	if (typeof assignee === "object") {
+		return assignee.name || assignee.email || "Unassigned";
+	}
+	return String(assignee);
+}
+
+function formatTags(tags) {
+	const names = (tags || [])
+		.map((tag) => (typeof tag === "string" ? tag : tag?.name))
+		.filter(Boolean);
+	return names.length ? names.join(", ") : "-";
+}
+
+// Notes come back either as a plain string or as a list of note entries
+function getRecentNotes(lead) {
+	const notes = lead.notes_list || lead.activities || lead.notes;
+	if (!notes) return [];
+	if (typeof notes === "string") {
+		return [{ text: notes, date: "" }];
+	}
+	return notes.slice(-MAX_CARD_NOTES).map((note) => ({
+		text: note.note || note.text || note.description || "",
+		date: note.created_at || note.date || "",
+	}));
+}
+
+function renderLeadCard(lead) {
+	const card = document.getElementById("ocrm-sidebar-lead-card");
+	if (!card) return;
+
+	card.innerHTML = "";
+
+	const header = document.createElement("div");
+	header.className = "ocrm-lead-card-header";
+
+	const title = document.createElement("div");
+	title.className = "ocrm-lead-card-title";
+	title.textContent = getLeadDisplayName(lead);
+	header.appendChild(title);
+
+	const link = document.createElement("a");
+	link.className = "ocrm-lead-card-link";
+	link.target = "_blank";
+	link.rel = "noopener";
+	link.textContent = "Open in CRM";
+	loadBaseUrl().then((baseUrl) => {
+		link.href = getLeadUrl(baseUrl, lead.id);
+	});
+	header.appendChild(link);
+	card.appendChild(header);
+
+	const rows = [
+		["Stage", lead.stage || "-"],
+		["Assigned to", formatAssignee(lead)],
+		["Potential", lead.potential != null ? String(lead.potential) : "-"],
+		["Tags", formatTags(lead.tags)],
+		["Created", formatLeadDate(lead.created_at || lead.since)],
+	];
+
+	const details = document.createElement("div");
+	details.className = "ocrm-detected-info";
+	for (const [label, value] of rows) {
+		const row = document.createElement("div");
+		row.className = "ocrm-detected-row";
+		const labelEl = document.createElement("span");
+		labelEl.textContent = `${label}:`;
+		const valueEl = document.createElement("strong");
+		valueEl.textContent = value;
+		row.appendChild(labelEl);
+		row.appendChild(valueEl);
+		details.appendChild(row);
+	}
+	card.appendChild(details);
+
+	const notes = getRecentNotes(lead).filter((note) => note.text);
+	if (notes.length) {
+		const list = document.createElement("ul");
+		list.className = "ocrm-lead-notes";
+		for (const note of notes) {
+			const item = document.createElement("li");
+			item.textContent = note.date
+				? `${formatLeadDate(note.date)} — ${note.text}`
+				: note.text;
+			list.appendChild(item);
+		}
+		card.appendChild(list);
+	}
+}
+
+// ============ OUTBOX ============
+// The background worker owns the queue; the sidebar renders it from storage
+function renderOutbox(outbox) {
+	const section = document.getElementById("ocrm-sidebar-outbox");
+	const list = document.getElementById("ocrm-sidebar-outbox-list");
+	if (!section || !list) return;
+
+	list.innerHTML = "";
+	section.hidden = outbox.length === 0;
+
+	for (const item of outbox) {
+		const card = document.createElement("div");
+		card.className = "ocrm-duplicate-card";
+
+		const title = document.createElement("strong");
+		title.textContent = getLeadDisplayName(item.lead);
+		card.appendChild(title);
+
+		const meta = document.createElement("div");
+		meta.className = `ocrm-outbox-meta ${item.status}`;
+		meta.textContent =
+			item.status === "failed"
+				? `Failed after ${item.attempts} attempts: ${item.lastError}`
+				: `Retrying at ${new Date(item.nextAttemptAt).toLocaleTimeString()} (attempt ${item.attempts + 1})`;
+		card.appendChild(meta);
+
+		const actions = document.createElement("div");
+		actions.className = "ocrm-duplicate-actions";
+
+		const retryBtn = document.createElement("button");
+		retryBtn.className = "ocrm-btn-secondary";
+		retryBtn.textContent = "Retry now";
+		retryBtn.addEventListener("click", async () => {
+			retryBtn.disabled = true;
+			const result = await sendMessage({
+				type: "retryOutboxItem",
+				itemId: item.id,
+			});
+			if (!result.ok) {
+				showToast(result.error || "Retry failed", "error");
+			}
+		});
+		actions.appendChild(retryBtn);
+
+		const discardBtn = document.createElement("button");
+		discardBtn.className = "ocrm-btn-secondary";
+		discardBtn.textContent = "Discard";
+		discardBtn.addEventListener("click", async () => {
+			await sendMessage({ type: "discardOutboxItem", itemId: item.id });
+		});
+		actions.appendChild(discardBtn);
+
+		card.appendChild(actions);
+		list.appendChild(card);
+	}
+}
+
+async function initOutboxSidebar() {
+	const { outbox } = await chrome.storage.local.get({ outbox: [] });
+	renderOutbox(outbox);
+
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === "local" && changes.outbox) {
+			renderOutbox(changes.outbox.newValue || []);
+		}
+	});
+}
+
+// ============ CHAT LIST BADGES ============
+const BADGE_BATCH_DELAY = 300;
+const BADGE_BATCH_SIZE = 50;
+
+// phone -> { id, stage } for leads, null for chats known not to be leads
+const chatLeadCache = new Map();
+const pendingBadgePhones = new Set();
+// Phones being looked up, so rows re-rendered mid-request are not queued again
+const badgePhonesInFlight = new Set();
+let badgeBatchTimer = null;
+
+function getChatListRows() {
+	const side = document.getElementById("side");
+	return side
+		? Array.from(side.querySelectorAll(joinSelectors("chatRow")))
+		: [];
+}
+
+function getChatListRowPhone(row) {
+	const dataId =
+		row.getAttribute("data-id") ||
+		row.querySelector("[data-id]")?.getAttribute("data-id") ||
+		"";
+	const match = dataId.match(/(\d{7,15})@c\.us/);
+	return match ? toE164(match[1], { international: true }) : "";
+}
+
+// Same stage always gets the same color without a hardcoded palette
+function getStageColor(stage) {
+	let hash = 0;
+	for (const char of stage || "") {
+		hash = (hash * 31 + char.charCodeAt(0)) % 360;
+	}
+	return `hsl(${hash}, 55%, 42%)`;
+}
+
+function renderRowBadge(row, phone) {
+	let badge = row.querySelector(".ocrm-chat-badge");
+	const lead = chatLeadCache.get(phone);
+	if (!lead) {
+		badge?.remove();
+		return;
+	}
+
+	if (!badge) {
+		badge = document.createElement("span");
+		badge.className = "ocrm-chat-badge";
+		row.appendChild(badge);
+	}
+	badge.dataset.phone = phone;
+	badge.textContent = lead.stage || "Lead";
+	badge.title = `CRM lead · ${lead.stage || "No stage"}`;
+	badge.style.background = getStageColor(lead.stage);
+}
+
+function processChatRow(row) {
+	const phone = getChatListRowPhone(row);
+	const badge = row.querySelector(".ocrm-chat-badge");
+
+	// WhatsApp recycles rows while scrolling, so compare against the badge
+	if (badge && badge.dataset.phone === phone) return;
+
+	if (!phone) {
+		badge?.remove();
+		return;
+	}
+
+	if (chatLeadCache.has(phone)) {
+		renderRowBadge(row, phone);
+		return;
+	}
+
+	badge?.remove();
+	if (badgePhonesInFlight.has(phone)) return;
+	pendingBadgePhones.add(phone);
+	scheduleBadgeBatch();
+}
+
+function scheduleBadgeBatch() {
+	if (badgeBatchTimer) return;
+	badgeBatchTimer = setTimeout(flushBadgeBatch, BADGE_BATCH_DELAY);
+}
+
+async function flushBadgeBatch() {
+	badgeBatchTimer = null;
+
+	const phones = Array.from(pendingBadgePhones).slice(0, BADGE_BATCH_SIZE);
+	phones.forEach((phone) => pendingBadgePhones.delete(phone));
+	if (!phones.length) return;
+
+	phones.forEach((phone) => badgePhonesInFlight.add(phone));
+
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	if (!orgId) {
+		// Nothing to ask yet; loadOrgs resets the badges once an org is picked
+		phones.forEach((phone) => badgePhonesInFlight.delete(phone));
+		return;
+	}
+
+	const baseUrl = await loadBaseUrl();
+	const result = await sendMessage({
+		type: "lookupLeadsBatch",
+		baseUrl,
+		orgId,
+		mobiles: phones,
+	});
+
+	// Only real answers are cached, misses included so every scroll does not
+	// ask again; after a failure the rows are looked up on their next render.
+	// Phones no longer in flight were dropped by resetChatBadges meanwhile.
+	const data = result.ok ? result.data || {} : null;
+	for (const phone of phones) {
+		if (data && badgePhonesInFlight.has(phone)) {
+			chatLeadCache.set(phone, data[phone] || null);
+		}
+		badgePhonesInFlight.delete(phone);
+	}
+
+	if (pendingBadgePhones.size) {
+		scheduleBadgeBatch();
+	}
+	if (!result.ok) {
+		console.warn("[OceanCRM] Badge lookup failed:", result.error);
+		return;
+	}
+
+	const batch = new Set(phones);
+	getChatListRows().forEach((row) => {
+		const phone = getChatListRowPhone(row);
+		if (batch.has(phone)) renderRowBadge(row, phone);
+	});
+}
+
+function collectChatRows(mutations) {
+	const selector = joinSelectors("chatRow");
+	const rows = new Set();
+	for (const mutation of mutations) {
+		const targetRow = mutation.target.closest?.(selector);
+		if (targetRow) rows.add(targetRow);
+
+		for (const node of mutation.addedNodes) {
+			if (!(node instanceof Element)) continue;
+			if (node.matches(selector)) rows.add(node);
+			node.querySelectorAll(selector).forEach((row) => rows.add(row));
+		}
+	}
+	return rows;
+}
+
+function initChatListBadges() {
+	const side = document.getElementById("side");
+	if (!side) return;
+
+	getChatListRows().forEach(processChatRow);
+
+	// Only rows touched by a mutation are re-checked
+	const observer = new MutationObserver((mutations) => {
+		collectChatRows(mutations).forEach((row) => {
+			processChatRow(row);
+			if (bulkSelection) renderBulkCheckbox(row);
+		});
+	});
+	observer.observe(side, {
+		subtree: true,
+		childList: true,
+		attributes: true,
+		attributeFilter: ["data-id"],
+	});
+}
+
+function resetChatBadges() {
+	chatLeadCache.clear();
+	pendingBadgePhones.clear();
+	badgePhonesInFlight.clear();
+	document.querySelectorAll(".ocrm-chat-badge").forEach((b) => b.remove());
+	getChatListRows().forEach(processChatRow);
+}
+
+// ============ QUICK REPLY TEMPLATES ============
+// Templates from the CRM for the selected org; local ones live in storage
+// under templates[orgId]
+let crmTemplates = [];
+
+function toTemplate(item) {
+	return {
+		id: String(item.id),
+		name: item.name || item.title || "Untitled",
+		body: item.body || item.content || item.text || "",
+	};
+}
+
+async function getLocalTemplates(orgId) {
+	const { templates } = await chrome.storage.local.get({ templates: {} });
+	return templates[orgId] || [];
+}
+
+async function setLocalTemplates(orgId, list) {
+	const { templates } = await chrome.storage.local.get({ templates: {} });
+	await chrome.storage.local.set({
+		templates: { ...templates, [orgId]: list },
+	});
+}
+
+async function loadTemplatesSidebar(baseUrl, orgId) {
+	const result = await sendMessage({ type: "getTemplates", baseUrl, orgId });
+	// Not every CRM instance has templates; local ones still work
+	crmTemplates = result.ok ? (result.data || []).map(toTemplate) : [];
+	await renderTemplates();
+}
+
+async function renderTemplates() {
+	const list = document.getElementById("ocrm-sidebar-templates");
+	if (!list) return;
+
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	const localTemplates = await getLocalTemplates(orgId);
+
+	list.innerHTML = "";
+	const all = [
+		...crmTemplates.map((t) => ({ ...t, local: false })),
+		...localTemplates.map((t) => ({ ...t, local: true })),
+	];
+
+	if (!all.length) {
+		const empty = document.createElement("p");
+		empty.className = "ocrm-hint";
+		empty.textContent = "No templates yet.";
+		list.appendChild(empty);
+		return;
+	}
+
+	for (const template of all) {
+		const item = document.createElement("div");
+		item.className = "ocrm-template";
+
+		const insertBtn = document.createElement("button");
+		insertBtn.className = "ocrm-template-insert";
+		insertBtn.title = template.body;
+		insertBtn.textContent = template.local
+			? template.name
+			: `${template.name} (CRM)`;
+		insertBtn.addEventListener("click", () => insertTemplate(template));
+		item.appendChild(insertBtn);
+
+		if (template.local) {
+			const deleteBtn = document.createElement("button");
+			deleteBtn.className = "ocrm-template-delete";
+			deleteBtn.title = "Delete template";
+			deleteBtn.textContent = "×";
+			deleteBtn.addEventListener("click", async () => {
+				await setLocalTemplates(
+					orgId,
+					localTemplates.filter((t) => t.id !== template.id),
+				);
+				await renderTemplates();
+			});
+			item.appendChild(deleteBtn);
+		}
+
+		list.appendChild(item);
+	}
+}
+
+async function saveLocalTemplate() {
+	const nameInput = document.getElementById("ocrm-sidebar-template-name");
+	const bodyInput = document.getElementById("ocrm-sidebar-template-body");
+	const name = nameInput?.value.trim() || "";
+	const body = bodyInput?.value.trim() || "";
+
+	if (!name || !body) {
+		showToast("Template needs a name and text", "error");
+		return;
+	}
+
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	if (!orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	const localTemplates = await getLocalTemplates(orgId);
+	await setLocalTemplates(orgId, [
+		...localTemplates,
+		{ id: `local-${Date.now()}`, name, body },
+	]);
+
+	nameInput.value = "";
+	bodyInput.value = "";
+	await renderTemplates();
+	showToast("Template saved", "success");
+}
+
+function getTemplateContext() {
+	const info = appState.chat;
+	const business = linkedLead?.business || {};
+	const name = business.name || info.name || "";
+	const org = appState.orgs.find((o) => o.id === appState.orgId);
+
+	return {
+		name,
+		first_name: name.split(/\s+/)[0] || "",
+		phone: business.mobile || info.phone || "",
+		email: business.email || "",
+		stage: linkedLead?.stage || "",
+		org: org?.name || "",
+	};
+}
+
+// Unknown placeholders are left as typed so they are easy to spot
+function fillTemplate(body, context) {
+	return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+		key in context ? context[key] : match,
+	);
+}
+
+function insertIntoComposer(text) {
+	const composer = queryFirst("composer");
+	if (!composer) {
+		return false;
+	}
+
+	composer.focus();
+
+	// WhatsApp's editor handles pasted multi-line text; fall back to
+	// insertText if the paste was not picked up
+	const data = new DataTransfer();
+	data.setData("text/plain", text);
+	const handled = !composer.dispatchEvent(
+		new ClipboardEvent("paste", {
+			clipboardData: data,
+			bubbles: true,
+			cancelable: true,
+		}),
+	);
+	if (!handled) {
+		document.execCommand("insertText", false, text);
+	}
+	return true;
+}
+
+function insertTemplate(template) {
+	const text = fillTemplate(template.body, getTemplateContext());
+	if (!insertIntoComposer(text)) {
+		showToast("Open a chat first", "error");
+		return;
+	}
+	showToast("Template inserted. Review and press send.", "success");
+}
+
+// ============ FOLLOW-UP REMINDERS ============
+// Phone of the chat the follow-up list was last rendered for
+let followUpPhone = "";
+
+// datetime-local wants local time without a timezone suffix
+function toDateTimeLocal(date) {
+	const offset = date.getTimezoneOffset() * 60000;
+	return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+function resetFollowUpForm() {
+	const atInput = document.getElementById("ocrm-sidebar-followup-at");
+	const noteInput = document.getElementById("ocrm-sidebar-followup-note");
+
+	// Default to tomorrow at 10:00
+	const tomorrow = new Date();
+	tomorrow.setDate(tomorrow.getDate() + 1);
+	tomorrow.setHours(10, 0, 0, 0);
+
+	if (atInput) atInput.value = toDateTimeLocal(tomorrow);
+	if (noteInput) noteInput.value = "";
+}
+
+async function scheduleFollowUpFromSidebar() {
+	const info = appState.chat;
+	if (!info.phone) {
+		showToast("Open a chat with a phone number first", "error");
+		return;
+	}
+
+	const atValue = document.getElementById("ocrm-sidebar-followup-at")?.value;
+	const dueAt = atValue ? new Date(atValue).getTime() : NaN;
+	if (Number.isNaN(dueAt) || dueAt <= Date.now()) {
+		showToast("Pick a time in the future", "error");
+		return;
+	}
+
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	if (!orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	const baseUrl = await loadBaseUrl();
+	const result = await sendMessage({
+		type: "scheduleFollowUp",
+		baseUrl,
+		orgId,
+		followUp: {
+			dueAt,
+			note:
+				document.getElementById("ocrm-sidebar-followup-note")?.value.trim() ||
+				"",
+			name: linkedLead ? getLeadDisplayName(linkedLead) : info.name,
+			phone: info.phone,
+			leadId: linkedLead?.id || null,
+		},
+	});
+
+	if (!result.ok) {
+		showToast(result.error || "Could not schedule reminder", "error");
+		return;
+	}
+
+	resetFollowUpForm();
+	if (result.data.warning) {
+		showToast(result.data.warning, "warning", 5000);
+	} else {
+		showToast("Reminder scheduled", "success");
+	}
+}
+
+async function renderFollowUps() {
+	const list = document.getElementById("ocrm-sidebar-followups");
+	if (!list) return;
+
+	const { followUps } = await chrome.storage.local.get({ followUps: [] });
+	const upcoming = followUps
+		.filter((item) => !item.fired && item.phone === followUpPhone)
+		.sort((a, b) => a.dueAt - b.dueAt);
+
+	list.innerHTML = "";
+	for (const reminder of upcoming) {
+		const item = document.createElement("div");
+		item.className = "ocrm-template";
+
+		const label = document.createElement("span");
+		label.className = "ocrm-template-insert";
+		label.textContent = `${new Date(reminder.dueAt).toLocaleString()}${reminder.note ? ` — ${reminder.note}` : ""}`;
+		item.appendChild(label);
+
+		const cancelBtn = document.createElement("button");
+		cancelBtn.className = "ocrm-template-delete";
+		cancelBtn.title = "Cancel reminder";
+		cancelBtn.textContent = "×";
+		cancelBtn.addEventListener("click", async () => {
+			await sendMessage({ type: "cancelFollowUp", reminderId: reminder.id });
+		});
+		item.appendChild(cancelBtn);
+
+		list.appendChild(item);
+	}
+}
+
+const CHAT_SEARCH_TIMEOUT = 3000;
+const CHAT_SEARCH_INTERVAL = 200;
+
+function findChatRowByPhone(phone) {
+	return getChatListRows().find(
+		(r) => getChatListRowPhone(r).replace(/\D/g, "") === phone,
+	);
+}
+
+function openChatRow(row) {
+	// WhatsApp opens chats on mousedown rather than click
+	row.dispatchEvent(new MouseEvent("mousedown", { bubbles: true }));
+	row.click();
+}
+
+// Called from a follow-up notification click. Chats outside the rendered
+// part of the list are looked up through WhatsApp's own search box, so the
+// page (and its session) is never reloaded.
+async function openChatByPhone(phone) {
+	const row = findChatRowByPhone(phone);
+	if (row) {
+		openChatRow(row);
+		return;
+	}
+
+	const search = queryFirst("chatSearch");
+	if (search) {
+		search.focus();
+		document.execCommand("selectAll", false);
+		document.execCommand("insertText", false, phone);
+
+		const deadline = Date.now() + CHAT_SEARCH_TIMEOUT;
+		while (Date.now() < deadline) {
+			await new Promise((resolve) => setTimeout(resolve, CHAT_SEARCH_INTERVAL));
+			const match = findChatRowByPhone(phone);
+			if (match) {
+				openChatRow(match);
+				return;
+			}
+		}
+	}
+
+	showToast(`Could not find the chat with +${phone}`, "warning");
+}
+
+function initFollowUps() {
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === "local" && changes.followUps) {
+			renderFollowUps();
+		}
+	});
+
+	chrome.runtime.onMessage.addListener((message) => {
+		if (message.type === "openChat") {
+			openChatByPhone(message.phone);
+		}
+	});
+}
+
+// ============ BULK LEAD CREATION ============
+const BULK_CREATE_DELAY = 800;
+
+// phone -> { name, phone, status, statusType } while bulk mode is on
+let bulkSelection = null;
+let bulkRunning = false;
+
+function getChatListRowInfo(row) {
+	const title =
+		row.querySelector("span[title]")?.getAttribute("title")?.trim() || "";
+	// Unsaved contacts show their number as the title
+	const titleIsPhone = /^\+?[\d\s()-]{7,}$/.test(title);
+	return {
+		name: titleIsPhone ? "" : title,
+		phone: getChatListRowPhone(row),
+		labels: readLabelNames(row, "chatRowLabel"),
+	};
+}
+
+function renderBulkCheckbox(row) {
+	const info = getChatListRowInfo(row);
+	let checkbox = row.querySelector(".ocrm-bulk-checkbox");
+
+	// Groups and rows without a number cannot become leads
+	if (!info.phone) {
+		checkbox?.remove();
+		return;
+	}
+
+	if (!checkbox) {
+		checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.className = "ocrm-bulk-checkbox";
+		// Keep WhatsApp from opening the chat when ticking the box
+		checkbox.addEventListener("mousedown", (e) => e.stopPropagation());
+		checkbox.addEventListener("click", (e) => {
+			e.stopPropagation();
+			toggleBulkChat(getChatListRowInfo(row), checkbox.checked);
+		});
+		row.appendChild(checkbox);
+	}
+
+	checkbox.checked = bulkSelection.has(info.phone);
+}
+
+function toggleBulkChat(info, selected) {
+	if (!bulkSelection || bulkRunning) return;
+
+	if (selected) {
+		bulkSelection.set(info.phone, { ...info, status: "", statusType: "" });
+	} else {
+		bulkSelection.delete(info.phone);
+	}
+	renderBulkReview();
+}
+
+function startBulkSelection() {
+	bulkSelection = new Map();
+	document.getElementById("side")?.classList.add("ocrm-bulk-mode");
+	getChatListRows().forEach(renderBulkCheckbox);
+
+	const toggleBtn = document.getElementById("ocrm-sidebar-bulk-toggle");
+	if (toggleBtn) toggleBtn.textContent = "Cancel bulk select";
+	renderBulkReview();
+}
+
+function stopBulkSelection() {
+	if (bulkRunning) return;
+
+	bulkSelection = null;
+	document.getElementById("side")?.classList.remove("ocrm-bulk-mode");
+	document.querySelectorAll(".ocrm-bulk-checkbox").forEach((c) => c.remove());
+
+	const toggleBtn = document.getElementById("ocrm-sidebar-bulk-toggle");
+	if (toggleBtn) toggleBtn.textContent = "Select chats";
+
+	const review = document.getElementById("ocrm-sidebar-bulk-review");
+	if (review) {
+		review.innerHTML = "";
+		review.hidden = true;
+	}
+}
+
+function renderBulkReview() {
+	const review = document.getElementById("ocrm-sidebar-bulk-review");
+	if (!review || !bulkSelection) return;
+
+	review.innerHTML = "";
+	review.hidden = false;
+
+	if (!bulkSelection.size) {
+		const empty = document.createElement("p");
+		empty.className = "ocrm-hint";
+		empty.textContent = "No chats selected yet.";
+		review.appendChild(empty);
+		return;
+	}
+
+	const table = document.createElement("table");
+	table.className = "ocrm-bulk-table";
+	table.innerHTML =
+		"<thead><tr><th>Name</th><th>Phone</th><th>Result</th></tr></thead>";
+	const body = document.createElement("tbody");
+
+	for (const entry of bulkSelection.values()) {
+		const row = document.createElement("tr");
+
+		const nameCell = document.createElement("td");
+		const nameInput = document.createElement("input");
+		nameInput.type = "text";
+		nameInput.value = entry.name;
+		nameInput.placeholder = "Name";
+		nameInput.disabled = bulkRunning;
+		nameInput.addEventListener("input", () => {
+			entry.name = nameInput.value.trim();
+		});
+		nameCell.appendChild(nameInput);
+		row.appendChild(nameCell);
+
+		const phoneCell = document.createElement("td");
+		phoneCell.textContent = entry.phone;
+		row.appendChild(phoneCell);
+
+		const statusCell = document.createElement("td");
+		statusCell.className = `ocrm-bulk-status ${entry.statusType}`;
+		statusCell.textContent = entry.status || "-";
+		row.appendChild(statusCell);
+
+		body.appendChild(row);
+	}
+	table.appendChild(body);
+	review.appendChild(table);
+
+	const progress = document.createElement("div");
+	progress.id = "ocrm-bulk-progress";
+	progress.className = "ocrm-sidebar-status";
+	review.appendChild(progress);
+
+	const remaining = getPendingBulkEntries().length;
+	const createBtn = document.createElement("button");
+	createBtn.className = "ocrm-btn-primary";
+	createBtn.textContent = `Create ${remaining} lead${remaining === 1 ? "" : "s"}`;
+	createBtn.disabled = bulkRunning || !remaining;
+	createBtn.addEventListener("click", runBulkCreate);
+	review.appendChild(createBtn);
+}
+
+// Entries already created are left out, so running again only retries the rest
+function getPendingBulkEntries() {
+	return Array.from(bulkSelection.values()).filter(
+		(entry) => entry.statusType !== "success",
+	);
+}
+
+async function createBulkLead(baseUrl, orgId, stageName, entry) {
+	const lead = buildLeadPayload({
+		name: entry.name,
+		phone: entry.phone,
+		stage: stageName || undefined,
+	});
+	applyLabelTags(lead, entry.labels || []);
+
+	const missing = findMissingRequiredFields(lead);
+	if (missing.length) {
+		return {
+			status: `Missing ${missing.map(getLeadFieldLabel).join(", ")}`,
+			statusType: "error",
+		};
+	}
+
+	// No prompt in bulk mode: existing leads are skipped
+	const duplicates = await findDuplicateLeads(baseUrl, orgId, lead.business);
+	if (duplicates.length) {
+		return { status: "Already a lead", statusType: "warning" };
+	}
+
+	const result = await sendMessage({
+		type: "createLead",
+		baseUrl,
+		orgId,
+		lead,
+	});
+
+	if (result.ok) {
+		chatLeadCache.delete(entry.phone);
+		return { status: "Created", statusType: "success" };
+	}
+	if (result.queued) {
+		return { status: "Queued for retry", statusType: "warning" };
+	}
+	return { status: result.error || "Failed", statusType: "error" };
+}
+
+async function runBulkCreate() {
+	if (!bulkSelection || bulkRunning) return;
+
+	const stored = await chrome.storage.local.get({ orgId: "", stageName: "" });
+	if (!stored.orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	const baseUrl = await loadBaseUrl();
+	const entries = getPendingBulkEntries();
+	if (!entries.length) return;
+	let created = 0;
+
+	bulkRunning = true;
+	try {
+		for (const [index, entry] of entries.entries()) {
+			Object.assign(entry, { status: "Creating...", statusType: "" });
+			renderBulkReview();
+			const progress = document.getElementById("ocrm-bulk-progress");
+			if (progress) {
+				progress.textContent = `Creating ${index + 1} of ${entries.length}...`;
+			}
+
+			const outcome = await createBulkLead(
+				baseUrl,
+				stored.orgId,
+				stored.stageName,
+				entry,
+			);
+			Object.assign(entry, outcome);
+			if (outcome.statusType === "success") created++;
+
+			// Throttle so a batch of 50 does not flood the CRM
+			if (index < entries.length - 1) {
+				await new Promise((resolve) => setTimeout(resolve, BULK_CREATE_DELAY));
+			}
+		}
+	} finally {
+		// A rejected request (e.g. the extension was reloaded) must not leave
+		// bulk mode locked
+		bulkRunning = false;
+		renderBulkReview();
+	}
+
+	const progress = document.getElementById("ocrm-bulk-progress");
+	if (progress) {
+		progress.textContent = `Done: ${created} of ${entries.length} created`;
+	}
+	showToast(
+		`${created} of ${entries.length} leads created`,
+		created === entries.length ? "success" : "warning",
+	);
+	getChatListRows().forEach(processChatRow);
+}
+
+// ============ LOG MESSAGES TO CRM ============
+// Rows picked while selection mode is active; null when it is off
+let selectedMessageRows = null;
+
+function getMessageRow(target) {
+	return target instanceof Element
+		? target.closest(joinSelectors("messageRow"))
+		: null;
+}
+
+// data-pre-plain-text looks like "[10:30, 12/01/2024] John Doe: "
+function parseMessageRow(row) {
+	const metaEl = row.querySelector("[data-pre-plain-text]");
+	const meta = (metaEl?.getAttribute("data-pre-plain-text") || "").match(
+		/^\[([^\]]+)\]\s*(.*?):\s*$/,
+	);
+	const text = Array.from(row.querySelectorAll(joinSelectors("messageText")))
+		.map((el) => el.textContent || "")
+		.join("\n")
+		.trim();
+
+	return {
+		text,
+		sender: meta ? meta[2] : "",
+		timestamp: meta ? meta[1] : "",
+		direction: row.querySelector(".message-out") ? "outgoing" : "incoming",
+	};
+}
+
+function formatMessagesAsNote(messages) {
+	return messages
+		.map((msg) => {
+			const who =
+				msg.sender || (msg.direction === "outgoing" ? "Me" : "Contact");
+			const when = msg.timestamp ? `[${msg.timestamp}] ` : "";
+			return `${when}${who} (${msg.direction}): ${msg.text}`;
+		})
+		.join("\n");
+}
+
+// ============ PER-MESSAGE ACTIONS ============
+// The action button is injected lazily on hover so long chats are not walked
+function handleMessageHover(event) {
+	if (selectedMessageRows) return;
+
+	const row = getMessageRow(event.target);
+	if (!row || row.querySelector(".ocrm-message-action")) return;
+
+	const button = document.createElement("button");
+	button.type = "button";
+	button.className = "ocrm-message-action";
+	button.title = "OceanCRM";
+	button.textContent = "CRM";
+	button.addEventListener("click", (e) => {
+		e.preventDefault();
+		e.stopPropagation();
+		openMessageActionMenu(row, button);
+	});
+	row.appendChild(button);
+}
+
+function closeMessageActionMenu() {
+	document.getElementById("ocrm-message-menu")?.remove();
+	document.removeEventListener("click", closeMessageActionMenu);
+}
+
+function openMessageActionMenu(row, anchor) {
+	closeMessageActionMenu();
+
+	const menu = document.createElement("div");
+	menu.id = "ocrm-message-menu";
+	menu.className = "ocrm-message-menu";
+
+	const actions = [
+		["Create lead", () => createLeadFromMessage(row)],
+		["Log to lead", () => logMessagesToLead([parseMessageRow(row)])],
+	];
+	for (const [label, run] of actions) {
+		const item = document.createElement("button");
+		item.type = "button";
+		item.textContent = label;
+		item.addEventListener("click", async (e) => {
+			e.stopPropagation();
+			closeMessageActionMenu();
+			await run();
+		});
+		menu.appendChild(item);
+	}
+
+	const rect = anchor.getBoundingClientRect();
+	menu.style.top = `${rect.bottom + 4}px`;
+	menu.style.left = `${rect.left}px`;
+	document.body.appendChild(menu);
+
+	// Close on the next outside click
+	setTimeout(() => document.addEventListener("click", closeMessageActionMenu));
+}
+
+async function createLeadFromMessage(row) {
+	const message = parseMessageRow(row);
+	if (!message.text) {
+		showToast("This message has no text", "error");
+		return;
+	}
+
+	const stored = await chrome.storage.local.get({ orgId: "", stageName: "" });
+	if (!stored.orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	// Details written in the message win over what the chat header shows; in
+	// a group the message author stands in for the chat
+	const parsed = parseQuickPaste(message.text);
+	const info = appState.chat.isGroup ? getMessageAuthor(row) : appState.chat;
+	const name = (parsed.name || info.name || "").trim();
+	const phone = toE164(parsed.phone || info.phone || "");
+
+	if (!name && !phone) {
+		showToast("No contact details detected", "error");
+		return;
+	}
+
+	const baseUrl = await loadBaseUrl();
+	const lead = buildLeadPayload({
+		name,
+		phone,
+		email: parsed.email,
+		stage: stored.stageName || undefined,
+		notes: message.text,
+		requirements: message.text,
+	});
+	applyGroupSource(lead);
+	applyLabelTags(lead, detectChatLabels());
+
+	await submitLead(baseUrl, stored.orgId, lead, "Lead created from message!");
+}
+
+// ============ GROUP PARTICIPANTS ============
+// Group chats (@g.us) have no contact of their own. Members come from the
+// header subtitle and from message authors, whose jid ends each message
+// data-id ("false_<group>@g.us_<message>_<author>@c.us").
+const GROUP_AUTHOR_PATTERN = /_(\d{7,15})@c\.us$/;
+const GROUP_SOURCE_NAMES = ["whatsapp group", "whatsapp"];
+let lastParticipantsSignature = "";
+
+function toParticipant(label, phone = "") {
+	const text = (label || "").trim();
+	const check = normalizePhone(text);
+	// Unsaved members are shown by number only
+	if (!phone && check.valid && !/[a-z]/i.test(text)) {
+		return { name: "", phone: check.e164 };
+	}
+	return { name: text, phone };
+}
+
+function getMessageAuthor(row) {
+	const idEl = row.matches("[data-id]") ? row : row.querySelector("[data-id]");
+	const match = idEl?.getAttribute("data-id")?.match(GROUP_AUTHOR_PATTERN);
+	const phone = match ? toE164(match[1], { international: true }) : "";
+	return toParticipant(parseMessageRow(row).sender, phone);
+}
+
+function detectGroupParticipants() {
+	const byKey = new Map();
+	const add = (participant) => {
+		if (!participant.name && !participant.phone) return;
+		const existing =
+			byKey.get(participant.phone) || byKey.get(participant.name);
+		if (existing) {
+			existing.name ||= participant.name;
+			existing.phone ||= participant.phone;
+			if (existing.phone) byKey.set(existing.phone, existing);
+			if (existing.name) byKey.set(existing.name, existing);
+			return;
+		}
+		if (participant.phone) byKey.set(participant.phone, participant);
+		if (participant.name) byKey.set(participant.name, participant);
+	};
+
+	// Authors first: they carry both the display name and the number
+	for (const selector of getSelectors("groupMessage")) {
+		document.querySelectorAll(selector).forEach((el) => {
+			const row = el.closest(joinSelectors("messageRow"));
+			if (row && !row.querySelector(".message-out")) {
+				add(getMessageAuthor(row));
+			}
+		});
+	}
+
+	const subtitle = queryFirst("groupSubtitle");
+	const members = (subtitle?.getAttribute("title") || "").split(",");
+	members
+		.map((member) => member.trim())
+		.filter((member) => member && member.toLowerCase() !== "you")
+		.forEach((member) => add(toParticipant(member)));
+
+	const participants = Array.from(new Set(byKey.values()));
+	recordDetection("groupParticipants", participants.length > 0);
+	return participants;
+}
+
+// Groups are recorded as the lead's source: a CRM source named after the
+// group (or a generic WhatsApp one) when nothing was picked, plus a note
+function applyGroupSource(lead) {
+	const chat = appState.chat;
+	if (!chat.isGroup || !chat.name) return lead;
+
+	if (!lead.source_id) {
+		const options = Array.from(
+			document.getElementById("ocrm-sidebar-source")?.options || [],
+		).filter((opt) => opt.value);
+		for (const label of [chat.name.toLowerCase(), ...GROUP_SOURCE_NAMES]) {
+			const match = options.find(
+				(opt) => opt.textContent.trim().toLowerCase() === label,
+			);
+			if (match) {
+				lead.source_id = match.value;
+				break;
+			}
+		}
+	}
+
+	const sourceNote = `Source: WhatsApp group "${chat.name}"`;
+	lead.notes = [sourceNote, lead.notes].filter(Boolean).join("\n");
+	return lead;
+}
+
+function renderGroupParticipants() {
+	const section = document.getElementById("ocrm-sidebar-group-section");
+	const list = document.getElementById("ocrm-sidebar-group-participants");
+	const hint = document.getElementById("ocrm-sidebar-group-hint");
+	if (!section || !list) return;
+
+	const chat = appState.chat;
+	const participants = chat.isGroup ? detectGroupParticipants() : [];
+	// Only rebuild when the members change
+	const signature = JSON.stringify([chat.id, participants]);
+	if (signature === lastParticipantsSignature) return;
+	lastParticipantsSignature = signature;
+
+	list.innerHTML = "";
+	section.hidden = !chat.isGroup;
+	if (hint) {
+		hint.textContent = participants.length
+			? `Leads created here are recorded with "${chat.name}" as the source.`
+			: "Scroll through the group's messages to list their authors.";
+	}
+
+	for (const participant of participants) {
+		const card = document.createElement("div");
+		card.className = "ocrm-duplicate-card";
+
+		const title = document.createElement("strong");
+		title.textContent = participant.name || participant.phone;
+		card.appendChild(title);
+
+		if (participant.name && participant.phone) {
+			const meta = document.createElement("div");
+			meta.className = "ocrm-duplicate-meta";
+			meta.textContent = participant.phone;
+			card.appendChild(meta);
+		}
+
+		const actions = document.createElement("div");
+		actions.className = "ocrm-duplicate-actions";
+
+		const useBtn = document.createElement("button");
+		useBtn.className = "ocrm-btn-secondary";
+		useBtn.textContent = "Use in form";
+		useBtn.addEventListener("click", () => useParticipantInForm(participant));
+		actions.appendChild(useBtn);
+
+		const createBtn = document.createElement("button");
+		createBtn.className = "ocrm-btn-primary";
+		createBtn.textContent = "Create lead";
+		createBtn.addEventListener("click", () =>
+			createLeadFromParticipant(participant),
+		);
+		actions.appendChild(createBtn);
+
+		card.appendChild(actions);
+		list.appendChild(card);
+	}
+}
+
+function useParticipantInForm(participant) {
+	const updates = { name: participant.name, phone: participant.phone };
+	updateForm(updates);
+	markFieldsTouched(Object.keys(updates));
+	activateSidebarTab("lead-info");
+}
+
+async function createLeadFromParticipant(participant) {
+	const { orgId } = appState;
+	if (!orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	const baseUrl = await loadBaseUrl();
+	const lead = buildLeadPayload({
+		name: participant.name,
+		phone: participant.phone,
+		stage: appState.stageName || undefined,
+	});
+	applyGroupSource(lead);
+
+	await submitLead(baseUrl, orgId, lead, "Lead created from participant!");
+}
+
+// ============ SHARED CONTACT CARDS ============
+let lastContactsSignature = "";
+
+// Contact bubbles only render the name and number; a forwarded vCard file
+// pasted as text is parsed in full
+function parseContactCard(el) {
+	const text = el.innerText || el.textContent || "";
+	if (isVCardText(text)) {
+		return parseVCard(text);
+	}
+
+	const card = parseVCard("");
+	const title = el.querySelector("span[title]");
+	card.name = (
+		title?.getAttribute("title") ||
+		text.split("\n")[0] ||
+		""
+	).trim();
+
+	const phones = new Set();
+	el.querySelectorAll("[data-id*='@c.us'], [data-jid*='@c.us']").forEach(
+		(node) => {
+			const id = node.getAttribute("data-id") || node.getAttribute("data-jid");
+			const match = id.match(/(\d{7,15})@c\.us/);
+			if (match) phones.add(toE164(match[1], { international: true }));
+		},
+	);
+	for (const match of toAsciiDigits(text).match(PHONE_PATTERN) || []) {
+		const check = normalizePhone(match);
+		if (check.valid) phones.add(check.e164);
+	}
+	card.phones = Array.from(phones);
+
+	return card;
+}
+
+function detectSharedContacts() {
+	const elements = new Set();
+	for (const selector of getSelectors("contactCard")) {
+		document.querySelectorAll(selector).forEach((el) => elements.add(el));
+	}
+	// vCards forwarded as plain text
+	queryFirst("conversation")
+		?.querySelectorAll(joinSelectors("messageText"))
+		.forEach((el) => {
+			if (/BEGIN:VCARD/i.test(el.textContent || "")) elements.add(el);
+		});
+
+	return Array.from(elements)
+		.map(parseContactCard)
+		.filter((card) => card.name || card.phones.length);
+}
+
+function renderSharedContacts() {
+	const section = document.getElementById("ocrm-sidebar-contacts-section");
+	const list = document.getElementById("ocrm-sidebar-contacts");
+	if (!section || !list) return;
+
+	const contacts = detectSharedContacts();
+	// Only rebuild when the cards change
+	const signature = JSON.stringify(contacts);
+	if (signature === lastContactsSignature) return;
+	lastContactsSignature = signature;
+
+	list.innerHTML = "";
+	section.hidden = contacts.length === 0;
+
+	for (const contact of contacts) {
+		const card = document.createElement("div");
+		card.className = "ocrm-duplicate-card";
+
+		const title = document.createElement("strong");
+		title.textContent = contact.name || contact.phones[0];
+		card.appendChild(title);
+
+		const meta = document.createElement("div");
+		meta.className = "ocrm-duplicate-meta";
+		meta.textContent = [
+			contact.phones.join(", "),
+			contact.email,
+			contact.company,
+		]
+			.filter(Boolean)
+			.join(" · ");
+		card.appendChild(meta);
+
+		const createBtn = document.createElement("button");
+		createBtn.className = "ocrm-btn-secondary";
+		createBtn.textContent = "Create lead from this contact";
+		createBtn.addEventListener("click", () => createLeadFromContact(contact));
+		card.appendChild(createBtn);
+
+		list.appendChild(card);
+	}
+}
+
+async function createLeadFromContact(contact) {
+	const stored = await chrome.storage.local.get({ orgId: "", stageName: "" });
+	if (!stored.orgId) {
+		showToast("Select organization first", "error");
+		return;
+	}
+
+	const [phone, ...otherPhones] = contact.phones;
+	const chat = appState.chat;
+	const notes = [
+		chat.name && `Contact shared by ${chat.name}`,
+		otherPhones.length && `Other phones: ${otherPhones.join(", ")}`,
+	]
+		.filter(Boolean)
+		.join("\n");
+
+	const baseUrl = await loadBaseUrl();
+	const lead = buildLeadPayload({
+		name: contact.name,
+		phone: phone || "",
+		email: contact.email,
+		company: contact.company,
+		stage: stored.stageName || undefined,
+		notes,
+		business: {
+			designation: contact.designation,
+			website: contact.website,
+			address_line_1: contact.address,
+			city: contact.city,
+			country: contact.country,
+		},
+	});
+
+	await submitLead(baseUrl, stored.orgId, lead, "Lead created from contact!");
+}
+
+function handleMessageSelectionClick(event) {
+	const row = getMessageRow(event.target);
+	if (!row || !selectedMessageRows) return;
+
+	// Keep WhatsApp from opening menus/media while picking messages
+	event.preventDefault();
+	event.stopPropagation();
+
+	if (selectedMessageRows.has(row)) {
+		selectedMessageRows.delete(row);
+		row.classList.remove("ocrm-message-selected");
+	} else {
+		selectedMessageRows.add(row);
+		row.classList.add("ocrm-message-selected");
+	}
+	updateSelectionBar();
+}
+
+function startMessageSelection() {
+	if (!linkedLead) {
+		showToast("Open a chat linked to a CRM lead first", "error");
+		return;
+	}
+	if (selectedMessageRows) return;
+
+	selectedMessageRows = new Set();
+	document.addEventListener("click", handleMessageSelectionClick, true);
+
+	const bar = document.createElement("div");
+	bar.id = "ocrm-selection-bar";
+	bar.className = "ocrm-selection-bar";
+	bar.innerHTML = `
+    <span id="ocrm-selection-count">Select messages to log</span>
+    <button id="ocrm-selection-log" class="ocrm-btn-primary" disabled>Log to CRM</button>
+    <button id="ocrm-selection-cancel" class="ocrm-btn-secondary">Cancel</button>
+  `;
+	document.body.appendChild(bar);
+
+	bar
+		.querySelector("#ocrm-selection-log")
+		.addEventListener("click", async () => {
+			const messages = Array.from(selectedMessageRows)
+				// Keep conversation order regardless of click order
+				.sort((a, b) =>
+					a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING
+						? -1
+						: 1,
+				)
+				.map(parseMessageRow)
+				.filter((msg) => msg.text);
+			stopMessageSelection();
+			await logMessagesToLead(messages);
+		});
+	bar
+		.querySelector("#ocrm-selection-cancel")
+		.addEventListener("click", stopMessageSelection);
+}
+
+function stopMessageSelection() {
+	if (!selectedMessageRows) return;
+
+	for (const row of selectedMessageRows) {
+		row.classList.remove("ocrm-message-selected");
+	}
+	selectedMessageRows = null;
+	document.removeEventListener("click", handleMessageSelectionClick, true);
+	document.getElementById("ocrm-selection-bar")?.remove();
+}
+
+function updateSelectionBar() {
+	const count = selectedMessageRows ? selectedMessageRows.size : 0;
+	const countEl = document.getElementById("ocrm-selection-count");
+	const logBtn = document.getElementById("ocrm-selection-log");
+	if (countEl) {
+		countEl.textContent = count
+			? `${count} message${count === 1 ? "" : "s"} selected`
+			: "Select messages to log";
+	}
+	if (logBtn) logBtn.disabled = count === 0;
+}
+
+async function logMessagesToLead(messages) {
+	const lead = linkedLead;
+	if (!lead) {
+		showToast("Open a chat linked to a CRM lead first", "error");
+		return false;
+	}
+	if (!messages.length) {
+		showToast("No message text to log", "error");
+		return false;
+	}
+
+	const { orgId } = await chrome.storage.local.get({ orgId: "" });
+	const baseUrl = await loadBaseUrl();
+	const result = await sendMessage({
+		type: "logLeadActivity",
+		baseUrl,
+		orgId,
+		leadId: lead.id,
+		activity: {
+			type: "whatsapp",
+			note: formatMessagesAsNote(messages),
+			messages,
+		},
+	});
+
+	if (!result.ok) {
+		showToast(result.error || "Failed to log messages", "error");
+		return false;
+	}
+
+	showToast(
+		`Logged ${messages.length} message${messages.length === 1 ? "" : "s"} to CRM`,
+		"success",
+	);
+	fillSidebarFields(true);
+	return true;
+}
+
+// ============ COMMAND PALETTE ============
+// Ctrl+Shift+K (a chrome.commands shortcut, see manifest.json) opens a
+// searchable list of CRM actions; the other shortcuts run one directly.
+const PALETTE_MAX_RESULTS = 8;
+
+let paletteItems = [];
+let paletteIndex = 0;
 
-	if (!result.ok) {
-		if (statusEl) {
-			statusEl.textContent = result.error || "Failed";
-			statusEl.classList.add("error");
-		}
-		showToast(result.error || "Lead creation failed", "error");
+async function openLinkedLeadInCrm() {
+	if (!linkedLead) {
+		showToast("This chat is not linked to a CRM lead", "error");
 		return;
 	}
+	const baseUrl = await loadBaseUrl();
+	window.open(getLeadUrl(baseUrl, linkedLead.id), "_blank");
+}
 
-	if (statusEl) {
-		statusEl.textContent = "Lead created ✓";
-		statusEl.classList.remove("error");
+async function logLastMessage() {
+	const rows = Array.from(
+		document.querySelectorAll(joinSelectors("messageRow")),
+	);
+	const last = rows
+		.reverse()
+		.map(parseMessageRow)
+		.find((msg) => msg.text);
+	await logMessagesToLead(last ? [last] : []);
+}
+
+// Moves the linked lead; without one it changes the default for new leads
+async function changeStageFromPalette(stage) {
+	if (linkedLead) {
+		syncStageSelect(stage);
+		await updateLinkedLeadStage(stage);
+		return;
 	}
-	showToast("Lead created successfully!", "success");
+	await selectStage(stage);
+	showToast(`New leads will start in ${stage}`, "success");
 }
 
-async function createLeadFromChatSidebar(baseUrl) {
-	const info = detectChatInfo();
-	const stored = await chrome.storage.local.get({ orgId: "", stageName: "" });
+function getPaletteCommands() {
+	const commands = [
+		{
+			id: "create-lead-from-chat",
+			label: "Create lead from chat",
+			run: async () => createLeadFromChatSidebar(await loadBaseUrl()),
+		},
+		{
+			id: "open-lead",
+			label: "Open lead in CRM",
+			run: openLinkedLeadInCrm,
+		},
+		{
+			id: "log-last-message",
+			label: "Log last message",
+			run: logLastMessage,
+		},
+		{
+			id: "toggle-sidebar",
+			label: "Toggle sidebar",
+			run: toggleSidebar,
+		},
+	];
 
-	// Get orgId from storage, fallback to dropdown value
-	let orgId = stored.orgId;
-	if (!orgId) {
-		const orgSelect = document.getElementById("ocrm-sidebar-orgs");
-		orgId = orgSelect?.value || "";
-		if (orgId) {
-			await chrome.storage.local.set({ orgId });
-		}
+	const currentStage = linkedLead ? linkedLead.stage : appState.stageName;
+	for (const { stage } of appState.stages) {
+		commands.push({
+			id: `stage:${stage}`,
+			label: `Change stage to ${stage}`,
+			hint: stage === currentStage ? "Current" : "",
+			run: () => changeStageFromPalette(stage),
+		});
 	}
 
-	// Get stage from storage, fallback to dropdown value
-	let stageName = stored.stageName;
-	if (!stageName) {
-		const stageSelect = document.getElementById("ocrm-sidebar-stage");
-		stageName = stageSelect?.value || "RAW (UNQUALIFIED)";
-		if (stageSelect?.value) {
-			await chrome.storage.local.set({ stageName: stageSelect.value });
-		}
+	for (const org of appState.orgs) {
+		commands.push({
+			id: `org:${org.id}`,
+			label: `Switch organization to ${org.name}`,
+			hint: org.id === appState.orgId ? "Current" : "",
+			run: () => changeOrg(org.id),
+		});
 	}
 
-	if (!orgId) {
-		showToast("Select organization first", "error");
-		return;
+	return commands;
+}
+
+// Subsequence match; consecutive letters and word starts score higher.
+// Returns -1 when the query does not match.
+function fuzzyScore(query, text) {
+	const needle = query.toLowerCase().replace(/\s+/g, "");
+	const haystack = text.toLowerCase();
+	let score = 0;
+	let from = 0;
+	let previous = -2;
+
+	for (const char of needle) {
+		const index = haystack.indexOf(char, from);
+		if (index === -1) return -1;
+		score += index === previous + 1 ? 3 : 1;
+		if (index === 0 || haystack[index - 1] === " ") score += 2;
+		previous = index;
+		from = index + 1;
 	}
+	return score;
+}
 
-	const name = (info.name || "").trim();
-	const phone = sanitizePhone(info.phone || "");
+function searchPaletteCommands(query) {
+	const commands = getPaletteCommands();
+	if (!query.trim()) {
+		return commands.slice(0, PALETTE_MAX_RESULTS);
+	}
+	return commands
+		.map((command) => ({ command, score: fuzzyScore(query, command.label) }))
+		.filter((match) => match.score >= 0)
+		.sort((a, b) => b.score - a.score)
+		.slice(0, PALETTE_MAX_RESULTS)
+		.map((match) => match.command);
+}
 
-	if (!name && !phone) {
-		showToast("No contact details detected", "error");
+function ensureCommandPalette() {
+	let palette = document.getElementById("ocrm-palette");
+	if (palette) return palette;
+
+	palette = document.createElement("div");
+	palette.id = "ocrm-palette";
+	palette.className = "ocrm-palette";
+	palette.hidden = true;
+	palette.innerHTML = `
+    <div class="ocrm-palette-card" role="dialog" aria-label="CRM commands">
+      <input id="ocrm-palette-input" type="text" placeholder="Type a command, stage or organization..." autocomplete="off" />
+      <div id="ocrm-palette-list" class="ocrm-palette-list" role="listbox"></div>
+    </div>
+  `;
+	document.body.appendChild(palette);
+
+	// Clicking the backdrop closes the palette
+	palette.addEventListener("mousedown", (e) => {
+		if (e.target === palette) closeCommandPalette();
+	});
+
+	const input = palette.querySelector("#ocrm-palette-input");
+	input.addEventListener("input", () => renderPaletteResults(input.value));
+	input.addEventListener("keydown", (e) => {
+		// Keep WhatsApp's own shortcuts from reacting while the palette is open
+		e.stopPropagation();
+
+		if (e.key === "Escape") {
+			closeCommandPalette();
+		} else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+			e.preventDefault();
+			const step = e.key === "ArrowDown" ? 1 : -1;
+			const count = paletteItems.length;
+			if (count) {
+				paletteIndex = (paletteIndex + step + count) % count;
+				highlightPaletteItem();
+			}
+		} else if (e.key === "Enter") {
+			e.preventDefault();
+			runPaletteItem(paletteItems[paletteIndex]);
+		}
+	});
+
+	return palette;
+}
+
+function renderPaletteResults(query) {
+	const list = document.getElementById("ocrm-palette-list");
+	if (!list) return;
+
+	paletteItems = searchPaletteCommands(query);
+	paletteIndex = 0;
+	list.innerHTML = "";
+
+	if (!paletteItems.length) {
+		const empty = document.createElement("div");
+		empty.className = "ocrm-palette-empty";
+		empty.textContent = "No matching commands";
+		list.appendChild(empty);
 		return;
 	}
 
-	const lead = {
-		assigned_to: null,
-		tags: [],
-		stage: stageName,
-		source_id: null,
-		product_id: null,
-		potential: 0,
-		requirements: "",
-		notes: detectChatPreview() || "",
-		since: new Date().toISOString(),
-		business: {
-			business: name || phone,
-			name: name,
-			title: null,
-			designation: "",
-			mobile: phone,
-			email: "",
-			website: "",
-			address_line_1: "",
-			address_line_2: "",
-			city: "",
-			country: "",
-			gstin: "",
-			code: "",
-		},
-	};
+	paletteItems.forEach((command, index) => {
+		const item = document.createElement("div");
+		item.className = "ocrm-palette-item";
+		item.setAttribute("role", "option");
 
-	const result = await sendMessage({
-		type: "createLead",
-		baseUrl,
-		orgId,
-		lead,
+		const label = document.createElement("span");
+		label.textContent = command.label;
+		item.appendChild(label);
+
+		if (command.hint) {
+			const hint = document.createElement("span");
+			hint.className = "ocrm-palette-hint";
+			hint.textContent = command.hint;
+			item.appendChild(hint);
+		}
+
+		item.addEventListener("mouseenter", () => {
+			paletteIndex = index;
+			highlightPaletteItem();
+		});
+		item.addEventListener("click", () => runPaletteItem(command));
+		list.appendChild(item);
 	});
+	highlightPaletteItem();
+}
 
-	if (!result.ok) {
-		showToast(result.error || "Lead creation failed", "error");
-		return;
+function highlightPaletteItem() {
+	document.querySelectorAll(".ocrm-palette-item").forEach((item, index) => {
+		const active = index === paletteIndex;
+		item.classList.toggle("active", active);
+		item.setAttribute("aria-selected", String(active));
+		if (active) item.scrollIntoView({ block: "nearest" });
+	});
+}
+
+function openCommandPalette() {
+	const palette = ensureCommandPalette();
+	const input = palette.querySelector("#ocrm-palette-input");
+	palette.hidden = false;
+	input.value = "";
+	renderPaletteResults("");
+	input.focus();
+}
+
+function closeCommandPalette() {
+	const palette = document.getElementById("ocrm-palette");
+	if (palette) palette.hidden = true;
+}
+
+async function runPaletteItem(command) {
+	if (!command) return;
+	closeCommandPalette();
+	try {
+		await command.run();
+	} catch (error) {
+		console.warn("[OceanCRM] Command failed:", error);
+		showToast(error.message || "Command failed", "error");
 	}
+}
+
+function initCommandPalette() {
+	chrome.runtime.onMessage.addListener((message) => {
+		if (message.type !== "runCommand") return;
+
+		if (message.command === "open-command-palette") {
+			const palette = document.getElementById("ocrm-palette");
+			if (palette && !palette.hidden) {
+				closeCommandPalette();
+			} else {
+				openCommandPalette();
+			}
+			return;
+		}
 
-	showToast("Lead created from chat!", "success");
+		runPaletteItem(
+			getPaletteCommands().find((command) => command.id === message.command),
+		);
+	});
 }
 
 function ensureWidget() {
@@ -955,6 +5169,10 @@ function ensureWidget() {
         <label>Phone</label>
         <input id="ocrm-phone" type="text" />
       </div>
+      <div class="ocrm-row">
+        <label>Email</label>
+        <input id="ocrm-email" type="email" />
+      </div>
       <div class="ocrm-row">
         <label>Notes</label>
         <textarea id="ocrm-notes" rows="3" placeholder="WhatsApp context"></textarea>
@@ -963,6 +5181,10 @@ function ensureWidget() {
         <button id="ocrm-create" type="button" class="ocrm-primary">Create lead</button>
       </div>
       <div id="ocrm-status" class="ocrm-status"></div>
+      <div class="ocrm-row">
+        <label>Show CRM As</label>
+        <select id="ocrm-ui-mode" data-ui-mode></select>
+      </div>
     </div>
     <div id="ocrm-paste-modal" class="ocrm-modal" aria-hidden="true">
       <div class="ocrm-modal-card">
@@ -972,8 +5194,9 @@ function ensureWidget() {
         </div>
         <textarea id="ocrm-paste-input" rows="7" placeholder="Paste WhatsApp chat, email, or lead details"></textarea>
         <div class="ocrm-modal-actions">
-          <button id="ocrm-apply-paste" type="button" class="ocrm-primary">Apply</button>
+          <button id="ocrm-apply-paste" type="button" class="ocrm-primary">Extract</button>
         </div>
+        <div id="ocrm-paste-preview" class="ocrm-paste-preview" hidden></div>
       </div>
     </div>
   `;
@@ -1001,14 +5224,19 @@ function ensureWidget() {
 		input.focus();
 	});
 
-	widget.querySelector("#ocrm-close-paste").addEventListener("click", () => {
-		const modal = document.getElementById("ocrm-paste-modal");
-		if (!modal) {
-			return;
-		}
-		modal.classList.remove("open");
-		modal.setAttribute("aria-hidden", "true");
-	});
+	widget
+		.querySelector("#ocrm-close-paste")
+		.addEventListener("click", closePasteModal);
+}
+
+function closePasteModal() {
+	const modal = document.getElementById("ocrm-paste-modal");
+	if (!modal) {
+		return;
+	}
+	closePastePreview("widget");
+	modal.classList.remove("open");
+	modal.setAttribute("aria-hidden", "true");
 }
 
 async function loadBaseUrl() {
@@ -1016,389 +5244,384 @@ async function loadBaseUrl() {
 	return data.baseUrl || DEFAULT_BASE_URL;
 }
 
-async function saveBaseUrl(baseUrl) {
-	await chrome.storage.local.set({ baseUrl });
+// ============ QUICK CAPTURE PARSER ============
+const CONFIDENCE_RANK = { low: 1, medium: 2, high: 3 };
+
+// Labels as people type them, including common Hindi and Gujarati ones
+const QUICK_PASTE_LABELS = {
+	name: ["name", "full name", "contact name", "contact person", "नाम", "નામ"],
+	phone: [
+		"mob",
+		"mob no",
+		"mobile",
+		"mobile no",
+		"mobile number",
+		"phone",
+		"phone no",
+		"phone number",
+		"ph",
+		"tel",
+		"cell",
+		"contact",
+		"contact no",
+		"whatsapp",
+		"मोबाइल",
+		"मोबाइल नंबर",
+		"फोन",
+		"फ़ोन",
+		"नंबर",
+		"મોબાઇલ",
+		"મોબાઈલ",
+		"ફોન",
+		"નંબર",
+	],
+	email: [
+		"email",
+		"e-mail",
+		"email id",
+		"mail",
+		"ईमेल",
+		"ई-मेल",
+		"ઈમેલ",
+		"ઇમેલ",
+	],
+	company: [
+		"company",
+		"company name",
+		"business",
+		"firm",
+		"organization",
+		"organisation",
+		"कंपनी",
+		"फर्म",
+		"કંપની",
+		"પેઢી",
+		"ફર્મ",
+	],
+	designation: ["designation", "title", "position", "role", "पद", "હોદ્દો"],
+	city: ["city", "शहर", "શહેર"],
+	address: ["address", "addr", "पता", "સરનામું"],
+	website: ["website", "web", "site", "url", "वेबसाइट", "વેબસાઇટ"],
+	gstin: ["gst", "gstin", "gst no", "gst number", "gstin no"],
+	requirements: [
+		"requirement",
+		"requirements",
+		"need",
+		"inquiry",
+		"enquiry",
+		"ज़रूरत",
+		"जरूरत",
+		"જરૂરિયાત",
+	],
+};
+
+const QUICK_PASTE_LABEL_FIELDS = new Map(
+	Object.entries(QUICK_PASTE_LABELS).flatMap(([field, labels]) =>
+		labels.map((label) => [label, field]),
+	),
+);
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{6,}\d/g;
+const GSTIN_PATTERN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/i;
+const WEBSITE_PATTERN = /\b(?:https?:\/\/|www\.)[^\s,;]+/i;
+const PINCODE_PATTERN = /\b\d{6}\b/;
+// "Name: x", "Name = x" and "Name - x" (the dash needs surrounding spaces)
+const LABEL_LINE_PATTERN = /^([^:=]{1,30}?)\s*(?::|=|\s[-–]\s)\s*(.+)$/;
+const SIGNATURE_OPENER =
+	/^(regards|best regards|kind regards|warm regards|thanks( and| &) regards|thanks|thank you|sincerely|cheers|धन्यवाद|आभार|આભાર|ધન્યવાદ)[\s,.!]*$/i;
+const DESIGNATION_PATTERN =
+	/\b(manager|director|ceo|cto|cfo|coo|founder|co-founder|owner|proprietor|partner|president|engineer|executive|head|officer|consultant|architect|analyst|accountant)\b/i;
+const COMPANY_PATTERN =
+	/\b(pvt|private|ltd|limited|llp|inc|corp|corporation|industries|enterprises?|traders|trading|solutions|technologies|infotech|exports?|agency|group)\b/i;
+
+// Devanagari and Gujarati digits are common in pasted Indian text
+function toAsciiDigits(text) {
+	return text.replace(/[०-९૦-૯]/g, (digit) => {
+		const code = digit.charCodeAt(0);
+		return String(code - (code >= 0x0ae6 ? 0x0ae6 : 0x0966));
+	});
 }
 
-function setStatus(message, isError = false) {
-	const statusEl = document.getElementById("ocrm-status");
-	if (!statusEl) {
-		return;
-	}
-	statusEl.textContent = message;
-	statusEl.classList.toggle("error", isError);
+function normalizeLabel(label) {
+	return label.toLowerCase().replace(/[.#*]/g, "").replace(/\s+/g, " ").trim();
 }
 
-function setSessionStatus(message, isError = false) {
-	const statusEl = document.getElementById("ocrm-session-status");
-	if (!statusEl) {
-		return;
-	}
-	statusEl.textContent = message;
-	statusEl.classList.toggle("error", isError);
+function isVCardText(text) {
+	return /BEGIN:VCARD/i.test(text) || /^(FN|TEL|ORG)[;:]/im.test(text);
 }
 
-let lastDetectedChat = { name: "", phone: "" };
-
-function fillChatFields() {
-	const info = detectChatInfo();
-	const nameInput = document.getElementById("ocrm-name");
-	const phoneInput = document.getElementById("ocrm-phone");
-
-	// Check if chat changed (different name or phone detected)
-	const chatChanged =
-		info.name !== lastDetectedChat.name ||
-		info.phone !== lastDetectedChat.phone;
+// Handles the vCard 3.0/4.0 properties WhatsApp and phones export
+function parseVCard(text) {
+	const card = {
+		name: "",
+		phones: [],
+		email: "",
+		company: "",
+		designation: "",
+		website: "",
+		address: "",
+		city: "",
+		country: "",
+	};
 
-	if (chatChanged && (info.name || info.phone)) {
-		lastDetectedChat = { name: info.name, phone: info.phone };
-		if (nameInput) {
-			nameInput.value = info.name || "";
-		}
-		if (phoneInput) {
-			phoneInput.value = info.phone || "";
-		}
-	} else {
-		// Only fill if empty (first load)
-		if (nameInput && !nameInput.value) {
-			nameInput.value = info.name || "";
-		}
-		if (phoneInput && !phoneInput.value) {
-			phoneInput.value = info.phone || "";
+	// Folded lines continue with a leading space or tab
+	const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+	for (const line of lines) {
+		const match = line.match(/^(?:item\d+\.)?([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+		if (!match) continue;
+
+		const key = match[1].toUpperCase();
+		const params = match[2];
+		const value = match[3].trim();
+		if (!value) continue;
+
+		if (key === "FN") {
+			card.name = value;
+		} else if (key === "N" && !card.name) {
+			const [last, first] = value.split(";");
+			card.name = [first, last].filter(Boolean).join(" ");
+		} else if (key === "TEL") {
+			// WhatsApp adds waid=<international number> to the TEL params
+			const waid = params.match(/waid=(\d+)/i);
+			card.phones.push(waid ? `+${waid[1]}` : value);
+		} else if (key === "EMAIL" && !card.email) {
+			card.email = value;
+		} else if (key === "ORG") {
+			card.company = value.split(";").filter(Boolean).join(" ");
+		} else if (key === "TITLE") {
+			card.designation = value;
+		} else if (key === "URL" && !card.website) {
+			card.website = value;
+		} else if (key === "ADR" && !card.address) {
+			// PO box;extended;street;city;region;postal code;country
+			const parts = value.split(";");
+			card.address = [parts[2], parts[4], parts[5]].filter(Boolean).join(", ");
+			card.city = parts[3] || "";
+			card.country = parts[6] || "";
 		}
 	}
+
+	return card;
 }
 
+// Returns the extracted fields plus a confidence ("high" | "medium" | "low")
+// per field so the preview can tell solid matches from guesses
 function parseQuickPaste(text) {
 	const result = {
 		name: "",
 		phone: "",
+		phones: [],
 		email: "",
 		company: "",
-		notes: text.trim(),
+		designation: "",
+		website: "",
+		gstin: "",
+		address: "",
+		city: "",
+		requirements: "",
+		notes: (text || "").trim(),
+		confidence: {},
 	};
 
 	if (!text) {
 		return result;
 	}
 
-	const emailMatch = text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i);
-	if (emailMatch) {
-		result.email = emailMatch[0];
-	}
+	const setField = (field, value, confidence) => {
+		const clean = (value || "").trim();
+		if (!clean) return;
+		const current = result.confidence[field];
+		if (current && CONFIDENCE_RANK[current] >= CONFIDENCE_RANK[confidence]) {
+			return;
+		}
+		result[field] = clean;
+		result.confidence[field] = confidence;
+	};
 
-	const phoneMatch = text.match(/\+?\d[\d\s()-]{6,}/);
-	if (phoneMatch) {
-		result.phone = sanitizePhone(phoneMatch[0]);
-	}
+	const addPhones = (value, confidence) => {
+		for (const match of value.match(PHONE_PATTERN) || []) {
+			const check = normalizePhone(match);
+			if (!check.valid) continue;
+			if (!result.phones.includes(check.e164)) {
+				result.phones.push(check.e164);
+			}
+			setField("phone", check.e164, check.ambiguous ? "low" : confidence);
+		}
+	};
 
-	const nameLine = text
-		.split(/\r?\n/)
-		.find((line) => line.toLowerCase().includes("name"));
-	if (nameLine) {
-		const parts = nameLine.split(":");
-		result.name = (parts[1] || "").trim();
+	const source = toAsciiDigits(text);
+
+	if (isVCardText(source)) {
+		const card = parseVCard(source);
+		for (const field of [
+			"name",
+			"email",
+			"company",
+			"designation",
+			"website",
+			"address",
+			"city",
+		]) {
+			setField(field, card[field], "high");
+		}
+		card.phones.forEach((phone) => addPhones(phone, "high"));
 	}
 
-	const companyLine = text
+	const lines = source
 		.split(/\r?\n/)
-		.find(
-			(line) =>
-				line.toLowerCase().includes("company") ||
-				line.toLowerCase().includes("business"),
-		);
-	if (companyLine) {
-		const parts = companyLine.split(":");
-		result.company = (parts[1] || "").trim();
-	}
-
-	return result;
-}
-
-function applyQuickPaste(text) {
-	const parsed = parseQuickPaste(text);
-	const nameInput = document.getElementById("ocrm-name");
-	const phoneInput = document.getElementById("ocrm-phone");
-	const notesInput = document.getElementById("ocrm-notes");
-
-	if (nameInput && parsed.name && !nameInput.value) {
-		nameInput.value = parsed.name;
-	}
-
-	if (phoneInput && parsed.phone && !phoneInput.value) {
-		phoneInput.value = parsed.phone;
-	}
-
-	if (notesInput && parsed.notes) {
-		notesInput.value = parsed.notes;
-	}
-}
-
-async function refreshSession(baseUrl) {
-	setSessionStatus("Checking...");
-	const result = await sendMessage({ type: "pingAuth", baseUrl });
-	if (!result.ok) {
-		setSessionStatus(result.error || "Auth failed", true);
-		return false;
-	}
-	setSessionStatus("Signed in");
-	return true;
-}
-
-async function loadOrganizations(baseUrl) {
-	const result = await sendMessage({ type: "getOrgs", baseUrl });
-	const orgSelect = document.getElementById("ocrm-orgs");
-	if (!orgSelect) {
-		return;
-	}
-
-	orgSelect.innerHTML = "";
-
-	if (!result.ok) {
-		setStatus(result.error || "Failed to load organizations", true);
-		return;
-	}
+		.map((line) => line.trim())
+		.filter(Boolean);
+	let signatureIndex = -1;
 
-	const orgs = result.data || [];
-	for (const org of orgs) {
-		const opt = document.createElement("option");
-		opt.value = org.id;
-		opt.textContent = org.name;
-		orgSelect.appendChild(opt);
-	}
-
-	const stored = await chrome.storage.local.get({ orgId: "" });
-	if (stored.orgId && orgs.some((o) => o.id === stored.orgId)) {
-		orgSelect.value = stored.orgId;
-	} else if (orgs.length > 0) {
-		// Auto-select first org and save to storage
-		orgSelect.value = orgs[0].id;
-		await chrome.storage.local.set({ orgId: orgs[0].id });
-	}
-}
-
-async function loadStages(baseUrl, orgId) {
-	const result = await sendMessage({ type: "getStages", baseUrl, orgId });
-	const stageSelect = document.getElementById("ocrm-stages");
-	if (!stageSelect) {
-		return;
-	}
-
-	stageSelect.innerHTML = "";
-
-	if (!result.ok) {
-		setStatus(result.error || "Failed to load stages", true);
-		return;
-	}
-
-	const stages = result.data || [];
-	for (const stage of stages) {
-		const opt = document.createElement("option");
-		opt.value = stage.stage;
-		opt.textContent = stage.stage;
-		stageSelect.appendChild(opt);
-	}
+	lines.forEach((line, index) => {
+		const labeled = line.match(LABEL_LINE_PATTERN);
+		const field =
+			labeled && QUICK_PASTE_LABEL_FIELDS.get(normalizeLabel(labeled[1]));
 
-	const stored = await chrome.storage.local.get({ stageName: "" });
-	if (stored.stageName && stages.some((s) => s.stage === stored.stageName)) {
-		stageSelect.value = stored.stageName;
-	} else if (stages.length > 0) {
-		// Auto-select first stage and save to storage
-		stageSelect.value = stages[0].stage;
-		await chrome.storage.local.set({ stageName: stages[0].stage });
-	}
-}
+		if (field === "phone") {
+			addPhones(labeled[2], "high");
+			return;
+		}
+		if (field === "email") {
+			setField("email", (labeled[2].match(EMAIL_PATTERN) || [])[0], "high");
+			return;
+		}
+		if (field) {
+			setField(field, labeled[2], "high");
+			return;
+		}
 
-async function createLead(baseUrl) {
-	const orgSelect = document.getElementById("ocrm-orgs");
-	const stageSelect = document.getElementById("ocrm-stages");
-	const nameInput = document.getElementById("ocrm-name");
-	const phoneInput = document.getElementById("ocrm-phone");
-	const notesInput = document.getElementById("ocrm-notes");
+		if (SIGNATURE_OPENER.test(line)) {
+			signatureIndex = index;
+			return;
+		}
 
-	if (!orgSelect || !stageSelect || !nameInput || !phoneInput || !notesInput) {
-		return;
-	}
+		const words = line.split(/\s+/).length;
+		if (DESIGNATION_PATTERN.test(line) && words <= 5 && !line.includes("@")) {
+			setField("designation", line, "medium");
+		}
+		if (COMPANY_PATTERN.test(line) && words <= 8) {
+			setField("company", line, "medium");
+		}
+		if (PINCODE_PATTERN.test(line) && line.includes(",")) {
+			setField("address", line, "medium");
+			// The city usually sits right before the PIN code
+			const segments = line
+				.split(",")
+				.map((part) =>
+					part.replace(PINCODE_PATTERN, "").replace(/[-–]/g, "").trim(),
+				)
+				.filter(Boolean);
+			setField("city", segments[segments.length - 1], "low");
+		}
+	});
 
-	const orgId = orgSelect.value;
-	if (!orgId) {
-		setStatus("Select an organization first", true);
-		return;
+	// The line after "Regards," is usually the sender's name
+	if (signatureIndex >= 0) {
+		const nameLine = lines[signatureIndex + 1] || "";
+		if (
+			nameLine &&
+			!/[\d@]/.test(nameLine) &&
+			nameLine.split(/\s+/).length <= 4
+		) {
+			setField("name", nameLine, "medium");
+		}
+		const companyLine = lines[signatureIndex + 3] || "";
+		if (companyLine && !/[\d@]/.test(companyLine)) {
+			setField("company", companyLine, "low");
+		}
 	}
 
-	const name = nameInput.value.trim();
-	const phone = sanitizePhone(phoneInput.value.trim());
+	setField("email", (source.match(EMAIL_PATTERN) || [])[0], "high");
+	addPhones(source, "medium");
 
-	if (!name && !phone) {
-		setStatus("Provide at least a name or phone", true);
-		return;
+	const gstin = source.match(GSTIN_PATTERN);
+	if (gstin) {
+		setField("gstin", gstin[0].toUpperCase(), "high");
 	}
 
-	const lead = {
-		assigned_to: null,
-		tags: [],
-		stage: stageSelect.value || "RAW (UNQUALIFIED)",
-		source_id: null,
-		product_id: null,
-		potential: 0,
-		requirements: "",
-		notes: notesInput.value || "",
-		since: new Date().toISOString(),
-		business: {
-			business: name || phone,
-			name: name,
-			title: null,
-			designation: "",
-			mobile: phone,
-			email: "",
-			website: "",
-			address_line_1: "",
-			address_line_2: "",
-			city: "",
-			country: "",
-			gstin: "",
-			code: "",
-		},
-	};
-
-	setStatus("Creating lead...");
-	const result = await sendMessage({
-		type: "createLead",
-		baseUrl,
-		orgId,
-		lead,
-	});
-	if (!result.ok) {
-		setStatus(result.error || "Lead creation failed", true);
-		return;
+	const website = source.match(WEBSITE_PATTERN);
+	if (website) {
+		setField("website", website[0].replace(/[.)]+$/, ""), "medium");
 	}
 
-	setStatus("Lead created successfully");
+	return result;
 }
 
 async function initWidget() {
+	await loadPhoneSettings();
 	ensureWidget();
 	ensureSidebar();
-	fillChatFields();
-	fillSidebarFields();
+	await initStateViews();
+	initDrafts();
+	initLabelMappings();
+	await initProfiles();
 
 	const baseUrl = await loadBaseUrl();
-	const baseInput = document.getElementById("ocrm-base-url");
-	const sidebarBaseInput = document.getElementById("ocrm-sidebar-base-url");
-
-	if (baseInput) baseInput.value = baseUrl;
-	if (sidebarBaseInput) sidebarBaseInput.value = baseUrl;
 
 	// Auto-check session and load orgs/stages on initialization
 	try {
-		const widgetOk = await refreshSession(baseUrl);
-		if (widgetOk) {
-			await loadOrganizations(baseUrl);
-			const orgSelect = document.getElementById("ocrm-orgs");
-			if (orgSelect && orgSelect.value) {
-				await loadStages(baseUrl, orgSelect.value);
-			}
-		}
-
-		const sidebarOk = await refreshSessionSidebar(baseUrl);
-		if (sidebarOk) {
-			const sidebarOrgSelect = document.getElementById("ocrm-sidebar-orgs");
-			if (sidebarOrgSelect && sidebarOrgSelect.value) {
-				await loadStagesSidebar(baseUrl, sidebarOrgSelect.value);
-			}
-		}
+		await checkSession(baseUrl);
 	} catch (e) {
 		console.warn("[OceanCRM] Auto-session check error:", e);
 	}
 
 	const saveBaseBtn = document.getElementById("ocrm-save-base");
 	if (saveBaseBtn) {
-		saveBaseBtn.addEventListener("click", async () => {
-			const value = baseInput.value.trim() || DEFAULT_BASE_URL;
-			await saveBaseUrl(value);
-			setStatus("Saved API base");
-			showToast("API URL saved", "success");
-		});
+		saveBaseBtn.addEventListener("click", saveProfileFromWidget);
 	}
 
 	const refreshBtn = document.getElementById("ocrm-refresh-session");
 	if (refreshBtn) {
 		refreshBtn.addEventListener("click", async () => {
-			const currentBase = baseInput.value.trim() || DEFAULT_BASE_URL;
-			const ok = await refreshSession(currentBase);
-			if (ok) {
-				await loadOrganizations(currentBase);
-				const orgSelect = document.getElementById("ocrm-orgs");
-				if (orgSelect && orgSelect.value) {
-					await loadStages(currentBase, orgSelect.value);
-				}
-			}
+			await checkSession(await loadBaseUrl());
 		});
 	}
 
 	const orgSelect = document.getElementById("ocrm-orgs");
 	if (orgSelect) {
-		orgSelect.addEventListener("change", async (event) => {
-			const orgId = event.target.value;
-			await chrome.storage.local.set({ orgId });
-			const currentBase = baseInput.value.trim() || DEFAULT_BASE_URL;
-			await loadStages(currentBase, orgId);
+		orgSelect.addEventListener("change", (event) => {
+			changeOrg(event.target.value);
 		});
 	}
 
 	const stageSelect = document.getElementById("ocrm-stages");
 	if (stageSelect) {
-		stageSelect.addEventListener("change", async (event) => {
-			const stageName = event.target.value;
-			await chrome.storage.local.set({ stageName });
+		stageSelect.addEventListener("change", (event) => {
+			selectStage(event.target.value);
 		});
 	}
 
 	const createBtn = document.getElementById("ocrm-create");
 	if (createBtn) {
 		createBtn.addEventListener("click", async () => {
-			const currentBase = baseInput.value.trim() || DEFAULT_BASE_URL;
-			await createLead(currentBase);
+			await createLeadFromForm(await loadBaseUrl());
 		});
 	}
 
+	// Extract shows the same preview as the sidebar; fields are applied there
 	const applyPasteBtn = document.getElementById("ocrm-apply-paste");
 	if (applyPasteBtn) {
 		applyPasteBtn.addEventListener("click", () => {
 			const input = document.getElementById("ocrm-paste-input");
-			if (!input) {
-				return;
-			}
-			applyQuickPaste(input.value || "");
-			input.value = "";
-			const modal = document.getElementById("ocrm-paste-modal");
-			if (modal) {
-				modal.classList.remove("open");
-				modal.setAttribute("aria-hidden", "true");
+			if (input?.value) {
+				renderPastePreview(parseQuickPaste(input.value), "widget");
 			}
-			setStatus("Quick paste applied");
-			showToast("Lead info extracted", "success");
 		});
 	}
 
-	let debounceTimer = null;
-	function debouncedFill() {
-		if (debounceTimer) {
-			return;
-		}
-		debounceTimer = setTimeout(() => {
-			debounceTimer = null;
-			try {
-				fillChatFields();
-				fillSidebarFields();
-			} catch (e) {
-				console.warn("[OceanCRM] fill error:", e);
-			}
-		}, 500);
-	}
-
-	const observer = new MutationObserver(debouncedFill);
-	observer.observe(document.body, { subtree: true, childList: true });
+	// Every chat-dependent view refreshes from the chat context service
+	initChatContext();
+	onChatChanged(() => fillSidebarFields());
+
+	document.addEventListener("mouseover", handleMessageHover);
+	initChatListBadges();
+	initOutboxSidebar();
+	initFollowUps();
+	initSessionEvents();
+	initCommandPalette();
+	initSelectorHealth();
 }
 
 // ============ MAIN INITIALIZATION WITH LOADING OVERLAY ============
@@ -1411,15 +5634,15 @@ async function initializeExtension() {
 		const messageTimer = cycleLoadingMessages(5000);
 
 		// Wait for WhatsApp to load using promise-based detection
-		await waitForElements(
-			[
-				'[title="Unread chats filter"]',
-				'[title="Chat filters menu"]',
-				"#side",
-				"#app > div > div > div",
-			],
-			30000,
-		);
+		await loadSelectorOverrides();
+		try {
+			await waitForElements(getSelectors("appReady"), 30000);
+			recordDetection("appReady", true);
+		} catch (error) {
+			// Start anyway; the sidebar warns that detection is unreliable
+			recordDetection("appReady", false);
+			console.warn("[OceanCRM] WhatsApp layout not recognised:", error);
+		}
 
 		updateLoadingMessage("Loading CRM features...");
 
@@ -0,0 +1,22 @@
+// Opened by the background worker when a connection profile points at a CRM
+// host the extension has no access to yet
+const origin = new URLSearchParams(location.search).get("origin") || "";
+
+document.getElementById("origin").textContent = origin;
+
+document.getElementById("grant").addEventListener("click", async () => {
+	const status = document.getElementById("status");
+	try {
+		const granted = await chrome.permissions.request({
+			origins: [`${origin}/*`],
+		});
+		if (granted) {
+			window.close();
+			return;
+		}
+		status.textContent = "Access was not granted.";
+	} catch (error) {
+		status.textContent = error.message;
+	}
+	status.classList.add("error");
+});